@@ -0,0 +1,46 @@
+/**
+ * LP Template - プロジェクト設定
+ *
+ * 書いた項目だけ既定値を上書きします（コメントの値が既定値）
+ * 広告タグのID・URLなど、環境ごとに変わる値は .env に書いてください
+ * 形式は npm run validate:config で確認できます
+ */
+
+import { defineConfig } from "./scripts/lib/project-config.mjs";
+
+export default defineConfig({
+  // images: {
+  //   maxWidth: 1920, // これより大きい画像は縮小（px）
+  //   quality: { jpeg: 85, avif: 60, webp: 80 },
+  // },
+  //
+  // SPとPCの境目（px、この幅以下がSP。sizes 属性・LCP画像の preload・-sp 画像の出し分けに使用）
+  // breakpoint: 767,
+  //
+  // JSのトランスパイル対象（browserslist の形式）
+  // js: { targets: "> 0.5%, last 2 versions, not dead, IE 11" },
+  //
+  // スクロール深度を送信する位置（%、TRACK_SCROLL_DEPTH=true の場合）
+  // conversion: { scrollDepth: [25, 50, 75, 90] },
+  //
+  // favicon: {
+  //   icoSizes: [16, 32, 48], // favicon.ico に含めるサイズ
+  //   manifestSizes: [192, 512], // site.webmanifest のアイコン
+  // },
+  //
+  // minify のオプション（html-minifier-terser / clean-css / terser に渡す、書いた項目だけ上書き）
+  // minify: {
+  //   html: { removeComments: true },
+  //   css: { level: 2 },
+  //   js: { compress: true, mangle: true },
+  // },
+  //
+  // ページごとの上書き（src/ からの相対パスのglob、breakpoint / conversion / minify.html のみ）
+  // pages: {
+  //   "thanks.html": { conversion: { scrollDepth: [50, 100] } },
+  //   "campaign/**": { breakpoint: 1023 },
+  // },
+  //
+  // ビルドのプラグイン（README の「プラグイン」、登録した順に実行）
+  // plugins: [chatWidget({ widgetId: "xxxx" })],
+});
@@ -11,6 +11,7 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { resolveIncludes } from "./lib/includes.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,7 +50,7 @@ async function checkAccessibility() {
 
   // HTML をチェック
   const htmlPath = path.join(srcDir, "index.html");
-  const html = await fs.readFile(htmlPath, "utf-8");
+  const html = await resolveIncludes(await fs.readFile(htmlPath, "utf-8"), { srcDir });
 
   // 1. lang属性
   if (!/<html[^>]+lang=/.test(html)) {
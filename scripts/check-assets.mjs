@@ -0,0 +1,95 @@
+/**
+ * LP Template - アセットチェック
+ *
+ * - どのページからも使われていないファイル
+ * - 内容が同じファイル（重複）
+ *
+ * ビルドと同じ設定（.env・lp.config.mjs の breakpoint など、lib/build-config.mjs）で参照関係を調べる
+ *
+ * 使用方法:
+ *   node scripts/check-assets.mjs          # レポート
+ *   node scripts/check-assets.mjs --list   # 使われていないファイルのパスだけを1行ずつ出力（削除用）
+ *   node scripts/check-assets.mjs --mode staging  # .env.staging を重ねて調べる（ビルドの --mode と同じ）
+ *
+ *   例: node scripts/check-assets.mjs --list | xargs rm
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseModeArgs } from "./lib/env.mjs";
+import { loadBuildConfig } from "./lib/build-config.mjs";
+import { buildAssetGraph, listBuildEntries } from "./lib/asset-graph.mjs";
+import { parseArtDirection, sortArtDirection, findArtDirectedImages } from "./lib/art-direction.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, "..");
+const srcDir = path.resolve(projectRoot, "src");
+
+function formatSize(bytes) {
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)}KB` : `${bytes}B`;
+}
+
+async function checkAssets() {
+  const { mode, args } = parseModeArgs(process.argv.slice(2));
+  const listOnly = args.includes("--list");
+  if (!listOnly) console.log("Checking assets...\n");
+
+  // --list は出力をそのまま rm に渡すため、正規化した値を表示しない
+  const { env, config } = await loadBuildConfig(projectRoot, { mode, quiet: listOnly });
+  const artDirectionRules = sortArtDirection(parseArtDirection(env.IMAGE_ART_DIRECTION, config.breakpoint));
+  const artDirection = await findArtDirectedImages(srcDir, artDirectionRules);
+  const graph = await buildAssetGraph(srcDir, { artDirection, entries: listBuildEntries(env) });
+
+  // 削除用: プロジェクトからの相対パスのみ
+  if (listOnly) {
+    graph.unused.forEach((file) => console.log(path.posix.join("src", file)));
+    return graph;
+  }
+
+  console.log("=== アセットチェック結果 ===\n");
+
+  if (graph.unused.length === 0 && graph.duplicates.length === 0) {
+    console.log("✓ 問題は見つかりませんでした\n");
+  }
+
+  if (graph.unused.length > 0) {
+    let total = 0;
+    console.log(`⚠ 使われていないファイル (${graph.unused.length}件):\n`);
+    for (const [i, file] of graph.unused.entries()) {
+      const { size } = await fs.stat(path.join(srcDir, file));
+      total += size;
+      console.log(`  ${i + 1}. src/${file} (${formatSize(size)})`);
+    }
+    console.log(`\n  合計 ${formatSize(total)}`);
+    if (graph.unused.some((file) => /\.(png|jpe?g|gif|webp|avif|svg)$/i.test(file))) {
+      console.log("  未使用の画像はビルドに含まれません（PRUNE_UNUSED_ASSETS=false で含める）");
+    }
+    console.log("  削除する場合: node scripts/check-assets.mjs --list | xargs rm\n");
+  }
+
+  if (graph.duplicates.length > 0) {
+    console.log(`⚠ 内容が同じファイル (${graph.duplicates.length}組):\n`);
+    graph.duplicates.forEach((group, i) => {
+      const labels = group.map((file) => `src/${file}${graph.used.has(file) ? "" : "（未使用）"}`);
+      console.log(`  ${i + 1}. ${labels.join(" = ")}`);
+    });
+    console.log();
+  }
+
+  // サマリー
+  console.log("=== サマリー ===\n");
+  console.log(`  ファイル: ${graph.assets.length}個`);
+  console.log(`  使用中: ${graph.used.size}個`);
+  console.log(`  未使用: ${graph.unused.length}個`);
+  console.log(`  重複: ${graph.duplicates.length}組`);
+  console.log();
+
+  return graph;
+}
+
+checkAssets().catch((error) => {
+  console.error("Asset check failed:", error.message);
+  process.exit(1);
+});
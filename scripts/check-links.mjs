@@ -9,6 +9,7 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { resolveIncludes } from "./lib/includes.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,7 +24,7 @@ async function checkLinks() {
 
   // HTML を読み込み
   const htmlPath = path.join(srcDir, "index.html");
-  const html = await fs.readFile(htmlPath, "utf-8");
+  const html = await resolveIncludes(await fs.readFile(htmlPath, "utf-8"), { srcDir });
 
   // 1. 内部アンカーリンクのチェック
   const anchorLinks = html.match(/href=["']#([^"']+)["']/gi) || [];
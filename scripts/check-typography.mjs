@@ -5,13 +5,16 @@
  */
 
 import puppeteer from "puppeteer";
+import fs from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { resolveIncludes } from "./lib/includes.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.resolve(__dirname, "..");
-const srcPath = path.resolve(projectRoot, "src", "index.html");
+const srcDir = path.resolve(projectRoot, "src");
+const srcPath = path.resolve(srcDir, "index.html");
 
 async function checkTypography() {
   console.log("Checking typography at 375px...\n");
@@ -22,8 +25,10 @@ async function checkTypography() {
   // 375px幅に設定
   await page.setViewport({ width: 375, height: 812 });
 
-  // ローカルファイルを開く
+  // ローカルファイルを開き、パーシャルを展開したHTMLで置き換える（相対パスは src/ 基準のまま）
   await page.goto(`file://${srcPath}`, { waitUntil: "networkidle0" });
+  const html = await resolveIncludes(await fs.readFile(srcPath, "utf-8"), { srcDir });
+  await page.setContent(html, { waitUntil: "networkidle0" });
 
   // テキスト要素をチェック
   const issues = await page.evaluate(() => {
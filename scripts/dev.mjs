@@ -0,0 +1,267 @@
+/**
+ * LP Template - 開発サーバー
+ *
+ * lib/build.mjs の build() でメモリ上にビルドし、BASE_PATH 配下で配信
+ * - src/ と .env・lp.config.mjs を監視し、変更された種類に応じて必要な工程だけ再ビルド
+ * - ブラウザをライブリロード（CSSのみの変更はリロードせずに差し替え）
+ * ※ ファイル名のハッシュ付与は行わない
+ *
+ * 使用方法: node scripts/dev.mjs [--port 3000] [--mode production|staging]
+ */
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { build, BUILD_PHASES, createMemoryOutput, parseModeArgs } from "./lib/index.mjs";
+import { toPosixPath } from "./lib/paths.mjs";
+import { PROJECT_CONFIG_FILE } from "./lib/project-config.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, "..");
+const srcDir = path.resolve(projectRoot, "src");
+
+const EVENTS_PATH = "/__lp/events";
+const REBUILD_DELAY = 100;
+
+const mimeTypes = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+// ライブリロード用のクライアントスクリプト（配信時にHTMLへ注入）
+const reloadClient = `<script>
+(function () {
+  var source = new EventSource("${EVENTS_PATH}");
+  source.addEventListener("reload", function () { location.reload(); });
+  source.addEventListener("css", function () {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(function (link) {
+      var url = new URL(link.href);
+      if (url.origin !== location.origin) return;
+      url.searchParams.set("t", Date.now());
+      link.href = url.href;
+    });
+    fetch(location.href, { cache: "no-store" })
+      .then(function (res) { return res.text(); })
+      .then(function (html) {
+        var next = new DOMParser().parseFromString(html, "text/html").querySelectorAll("style");
+        document.querySelectorAll("style").forEach(function (style, i) {
+          if (next[i]) style.textContent = next[i].textContent;
+        });
+      });
+  });
+})();
+</script>`;
+
+// 配信中の出力（全体の再ビルドは別の出力先にビルドし、成功した場合だけ差し替える）
+let output = createMemoryOutput();
+const clients = new Set();
+// 前回成功したビルドの結果（一度も成功していなければ {}）
+let state = {};
+// 全体のビルドが失敗したままか（次の変更でも全体をビルドし直す）
+let fullBuildPending = true;
+
+// ビルドのモード（.env.<mode> を読み込む）
+const { mode, args } = parseModeArgs(process.argv.slice(2));
+
+// 接続中のブラウザにイベントを送信
+function notify(event) {
+  for (const res of clients) {
+    res.write(`event: ${event}\ndata: \n\n`);
+  }
+}
+
+// 変更されたファイルから再実行する工程を決める
+function phasesFor(changedFiles) {
+  const phases = new Set();
+  for (const file of changedFiles) {
+    if (!file.startsWith("src/")) return BUILD_PHASES;
+
+    const ext = path.extname(file).toLowerCase();
+    if (ext === ".html") {
+      phases.add("pages");
+    } else if (ext === ".css") {
+      phases.add("css");
+    } else if (ext === ".js") {
+      phases.add("js").add("pages");
+    } else {
+      return BUILD_PHASES;
+    }
+  }
+  return BUILD_PHASES.filter((phase) => phases.has(phase));
+}
+
+// <style> の中身を除いたHTML（CSSのみの変更かどうかの判定用）
+function withoutStyles(html) {
+  return html.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, "");
+}
+
+// ページの出力を取得
+function snapshotPages() {
+  return new Map((state.pages || []).map((page) => [page, output.files.get(page)?.toString("utf-8")]));
+}
+
+// 全体をビルド（失敗した場合は前回の出力・state のまま配信を続ける）
+async function buildAll() {
+  const next = createMemoryOutput();
+  fullBuildPending = true;
+  state = await build({ output: next, hash: false, pruneUnused: false, mode });
+  output = next;
+  fullBuildPending = false;
+}
+
+// 再ビルドして、CSSだけの変更なら差し替え、それ以外はリロードを通知
+// 全体のビルドが失敗したままの場合（設定の誤りなど）は、変更されたファイルに関係なく全体をビルドする
+async function rebuild(changedFiles) {
+  const phases = fullBuildPending ? BUILD_PHASES : phasesFor(changedFiles);
+  const before = snapshotPages();
+
+  if (BUILD_PHASES.every((phase) => phases.includes(phase))) {
+    await buildAll();
+  } else {
+    state = await build({ output, hash: false, phases, state, pruneUnused: false, mode });
+  }
+
+  const after = snapshotPages();
+  const pagesChanged =
+    phases.includes("pages") &&
+    ([...after].some(([page, html]) => !before.has(page) || withoutStyles(before.get(page)) !== withoutStyles(html)) ||
+      before.size !== after.size);
+  const cssOnly = !phases.includes("js") && !phases.includes("assets") && !pagesChanged;
+
+  notify(cssOnly ? "css" : "reload");
+}
+
+// ファイル監視（短時間の連続した変更はまとめて1回だけ再ビルド）
+function watch() {
+  const pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const schedule = (file) => {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...pending];
+      pending.clear();
+      running = running
+        .then(() => rebuild(files))
+        .catch((error) => {
+          console.error("✗ Rebuild failed:", error.message);
+          console.log(state.env ? "  Serving the last successful build" : "  Fix the error and save a file to rebuild");
+        });
+    }, REBUILD_DELAY);
+  };
+
+  fs.watch(srcDir, { recursive: true }, (eventType, filename) => {
+    if (filename) schedule(`src/${toPosixPath(filename)}`);
+  });
+
+  fs.watch(projectRoot, (eventType, filename) => {
+    if (filename && (filename.startsWith(".env") || filename === PROJECT_CONFIG_FILE)) schedule(filename);
+  });
+}
+
+// リクエストパスを出力先のファイルに解決（BASE_PATH 配下のみ、ディレクトリは index.html）
+function resolveFile(pathname) {
+  const basePath = state.basePath || "";
+  if (basePath && pathname !== basePath && !pathname.startsWith(`${basePath}/`)) return null;
+
+  const relativePath = path.posix.normalize(decodeURIComponent(pathname.slice(basePath.length))).replace(/^\/+/, "");
+  if (relativePath.startsWith("..")) return null;
+
+  if (output.files.has(relativePath)) return relativePath;
+  const indexPath = path.posix.join(relativePath, "index.html");
+  return output.files.has(indexPath) ? indexPath : null;
+}
+
+function handleRequest(req, res) {
+  const { pathname, search } = new URL(req.url, "http://localhost");
+  const basePath = state.basePath || "";
+
+  // ライブリロード（Server-Sent Events）
+  if (pathname === EVENTS_PATH) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-store",
+      Connection: "keep-alive",
+    });
+    res.write(": connected\n\n");
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+    return;
+  }
+
+  // BASE_PATH 外のルートへのアクセスは BASE_PATH にリダイレクト
+  if (basePath && pathname === "/") {
+    res.writeHead(302, { Location: `${basePath}/` });
+    res.end();
+    return;
+  }
+
+  // 一度もビルドに成功していない場合はエラーを表示（内容はターミナル）
+  if (!state.env) {
+    res.writeHead(503, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Build failed. See the terminal for details, then save a file to rebuild.");
+    return;
+  }
+
+  const filePath = resolveFile(pathname);
+  if (!filePath) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Not Found");
+    return;
+  }
+
+  // ディレクトリは末尾スラッシュ付きにリダイレクト（相対パスの解決のため）
+  if (filePath.endsWith("index.html") && !pathname.endsWith("/") && !pathname.endsWith(".html")) {
+    res.writeHead(301, { Location: `${pathname}/${search}` });
+    res.end();
+    return;
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  let body = output.files.get(filePath);
+  if (ext === ".html") {
+    body = body.toString("utf-8").replace(/<\/body>/i, `${reloadClient}</body>`);
+  }
+
+  res.writeHead(200, {
+    "Content-Type": mimeTypes[ext] || "application/octet-stream",
+    "Cache-Control": "no-store",
+  });
+  res.end(body);
+}
+
+async function main() {
+  const portIndex = args.indexOf("--port");
+  const port = Number(portIndex >= 0 ? args[portIndex + 1] : process.env.PORT || 3000);
+
+  try {
+    await buildAll();
+  } catch (error) {
+    console.error("✗ Build failed:", error.message);
+    console.log("  Fix the error and save a file to rebuild");
+  }
+
+  watch();
+
+  http.createServer(handleRequest).listen(port, () => {
+    console.log(`\nDev server: http://localhost:${port}${state.basePath || ""}/`);
+  });
+}
+
+main();
@@ -0,0 +1,153 @@
+/**
+ * LP Template - アートディレクション（画面幅ごとの画像の出し分け）
+ *
+ * サフィックス → メディアクエリのルールで、hero-sp.jpg / hero-tab.jpg などを <source media> に割り当てる
+ * ルールは IMAGE_ART_DIRECTION で変更できる（既定は -sp のみ、境目は lp.config.mjs の breakpoint）
+ *
+ *   IMAGE_ART_DIRECTION=-sp=(max-width: 767px); -tab=(min-width: 768px) and (max-width: 1023px); -wide=(min-width: 1600px)
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import { toPosixPath } from "./paths.mjs";
+import { DEFAULT_PROJECT_CONFIG } from "./project-config.mjs";
+
+// 既定のルール（SP用の -sp のみ）
+export function defaultArtDirection(breakpoint = DEFAULT_PROJECT_CONFIG.breakpoint) {
+  return [{ suffix: "-sp", media: `(max-width: ${breakpoint}px)` }];
+}
+
+const variantExtensions = /\.(png|jpe?g)$/i;
+
+/**
+ * IMAGE_ART_DIRECTION をパース（"サフィックス=メディアクエリ" を ; 区切り）
+ *
+ * @param {string} value
+ * @param {number} [breakpoint] - 空の場合の -sp のメディアクエリに使う境目（px）
+ * @returns {{ suffix: string, media: string }[]}
+ */
+export function parseArtDirection(value, breakpoint) {
+  if (!value) return defaultArtDirection(breakpoint);
+
+  const rules = value
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const index = entry.indexOf("=");
+      if (index < 0) throw new Error(`Invalid IMAGE_ART_DIRECTION entry: ${entry}`);
+      const suffix = entry.slice(0, index).trim();
+      return { suffix: suffix.startsWith("-") ? suffix : `-${suffix}`, media: entry.slice(index + 1).trim() };
+    });
+
+  return rules.length > 0 ? rules : defaultArtDirection(breakpoint);
+}
+
+// メディアクエリが対象とする幅の範囲（min-width / max-width のみ解釈）
+function widthRange(media) {
+  const min = media.match(/min-width\s*:\s*(\d+(?:\.\d+)?)px/);
+  const max = media.match(/max-width\s*:\s*(\d+(?:\.\d+)?)px/);
+  return { min: min ? Number(min[1]) : 0, max: max ? Number(max[1]) : Infinity };
+}
+
+// メディアクエリが指定の画面幅に一致するか（min-width / max-width のみ解釈）
+export function matchesWidth(media, width) {
+  if (!media) return true;
+  const { min, max } = widthRange(media);
+  return width >= min && width <= max;
+}
+
+/**
+ * <source> の並び順にルールを並べる（範囲が狭いものを先に、同じなら min-width が大きいものを先に）
+ * ブラウザは最初に一致した <source> を使うため、広い範囲のルールが狭いルールを隠さないようにする
+ */
+export function sortArtDirection(rules) {
+  return rules
+    .map((rule, index) => ({ rule, index, range: widthRange(rule.media) }))
+    .sort(
+      (a, b) =>
+        a.range.max - a.range.min - (b.range.max - b.range.min) || b.range.min - a.range.min || a.index - b.index,
+    )
+    .map(({ rule }) => rule);
+}
+
+// 画像のサイズを取得（読めなければ null）
+async function readDimensions(filePath) {
+  try {
+    const { width, height } = await sharp(filePath).metadata();
+    return width && height ? { width, height } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 画面幅ごとの画像を持つ画像を検出
+ *
+ * @param {string} dir - src/
+ * @param {{ suffix: string, media: string }[]} rules - sortArtDirection() 済みのルール
+ * @returns {Promise<Map<string, { width, height, variants: { suffix, media, srcPath, width, height }[] }>>}
+ *   キーは元画像の src/ からの相対パス。variants はルールの順
+ */
+export async function findArtDirectedImages(dir, rules) {
+  const found = new Map();
+
+  async function scan(currentDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(currentDir, { withFileTypes: true });
+    } catch {
+      // ディレクトリが存在しない場合は無視
+      return;
+    }
+
+    const names = new Set(entries.filter((e) => e.isFile()).map((e) => e.name));
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        await scan(fullPath);
+        continue;
+      }
+
+      const ext = path.extname(entry.name);
+      if (!variantExtensions.test(ext)) continue;
+      const stem = entry.name.slice(0, -ext.length);
+
+      for (const rule of rules) {
+        if (!stem.endsWith(rule.suffix)) continue;
+
+        // 元画像（拡張子は違っていてもよい）
+        const mainStem = stem.slice(0, -rule.suffix.length);
+        const mainName = [".jpg", ".jpeg", ".png", ext].map((e) => mainStem + e).find((name) => names.has(name));
+        if (!mainName) continue;
+
+        const mainPath = toPosixPath(path.relative(dir, path.join(currentDir, mainName)));
+        if (!found.has(mainPath)) {
+          found.set(mainPath, { ...(await readDimensions(path.join(currentDir, mainName))), variants: [] });
+        }
+        found.get(mainPath).variants.push({
+          ...rule,
+          srcPath: toPosixPath(path.relative(dir, fullPath)),
+          ...(await readDimensions(fullPath)),
+        });
+        break;
+      }
+    }
+  }
+
+  await scan(dir);
+
+  // <source> をルールの順に並べる
+  for (const image of found.values()) {
+    image.variants.sort(
+      (a, b) => rules.findIndex((r) => r.suffix === a.suffix) - rules.findIndex((r) => r.suffix === b.suffix),
+    );
+  }
+  return found;
+}
+
+// アスペクト比が異なるか
+export function hasDifferentAspectRatio(a, b) {
+  return Math.abs(a.width / a.height - b.width / b.height) > 0.01;
+}
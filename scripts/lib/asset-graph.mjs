@@ -0,0 +1,187 @@
+/**
+ * LP Template - アセットの参照関係
+ *
+ * src/ のページ（インクルード展開後）とCSS・JSの参照をたどり、
+ * どのページからも使われていないファイル・内容が同じファイルを検出する
+ *
+ * - HTML: すべての属性値（src / href / srcset / data-* など）、style 属性・<style> の url()、<noscript> の中身
+ * - CSS: url() と @import（CSSのディレクトリ基準）
+ * - JS: 文字列リテラルのうち、存在するファイルを指すもの（ページのディレクトリ基準）
+ * - 使われている PNG/JPG と同じ名前の AVIF/WebP・幅ごとの画像、画面幅ごとの画像（-sp など）も使用中とみなす
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { resolveIncludes, findHtmlPages, PARTIALS_DIR } from "./includes.mjs";
+import { parseHtml, parseFragment } from "./dom.mjs";
+import { resolveOutputPath } from "./manifest.mjs";
+import { toPosixPath } from "./paths.mjs";
+import { listFaviconSources } from "./favicons.mjs";
+
+const cssUrlPattern = /url\(\s*(["']?)([^"')]+)\1\s*\)|@import\s+(["'])([^"']+)\3/g;
+const stringLiteralPattern = /(["'`])([^"'`\s]+\.[a-z0-9]+)\1/gi;
+const srcsetAttribute = /srcset$/i;
+
+// URLを書く属性（参照先が出力に無ければ警告する。それ以外の属性は存在するファイルを指す場合のみ参照とみなす）
+const urlAttributes = new Set(["src", "href", "poster", "data", "data-src", "action"]);
+
+// ページから参照されなくてもビルドが読み込むファイル（style.min.css / script.min.js の元）
+export const BUILD_INPUTS = ["style.css", "script.js"];
+
+/**
+ * ビルドが読み込むファイルの一覧（buildAssetGraph() の entries）
+ *
+ * BUILD_INPUTS と faviconの元画像（FAVICON_SRC などで変わる）。ビルドと check:assets で同じものを使う
+ *
+ * @param {object} env - 環境変数
+ * @returns {string[]} src/ からの相対パス
+ */
+export function listBuildEntries(env) {
+  return [...BUILD_INPUTS, ...listFaviconSources(env)];
+}
+
+// src/ のアセット（ページ・パーシャル・ドットファイル以外のファイル）
+async function listAssets(dir, base = dir) {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (dir === base && entry.name === PARTIALS_DIR) continue;
+      files.push(...(await listAssets(fullPath, base)));
+    } else if (entry.isFile() && !entry.name.toLowerCase().endsWith(".html")) {
+      files.push(toPosixPath(path.relative(base, fullPath)));
+    }
+  }
+  return files.sort();
+}
+
+function srcsetUrls(srcset) {
+  return srcset
+    .split(",")
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+function cssUrls(css) {
+  return [...css.matchAll(cssUrlPattern)].map((match) => (match[2] ?? match[4]).trim());
+}
+
+// HTML内のURLを列挙（<noscript> の中身も含む）
+// isUrl: URLとして書かれた値か（src / href / srcset / url() など）
+function htmlUrls($) {
+  const urls = [];
+  const add = (values, isUrl) => values.forEach((url) => urls.push({ url, isUrl }));
+  $("*").each((i, el) => {
+    for (const [name, value] of Object.entries(el.attribs || {})) {
+      if (name === "style") {
+        add(cssUrls(value), true);
+      } else if (srcsetAttribute.test(name)) {
+        add(srcsetUrls(value), true);
+      } else if (value && !/\s/.test(value.trim())) {
+        add([value.trim()], urlAttributes.has(name));
+      }
+    }
+  });
+  $("style").each((i, el) => add(cssUrls($(el).text()), true));
+  $("noscript").each((i, el) => urls.push(...htmlUrls(parseFragment($(el).text()))));
+  return urls;
+}
+
+/**
+ * アセットの参照関係を調べる
+ *
+ * @param {string} srcDir - src/
+ * @param {object} [options]
+ * @param {Map} [options.artDirection] - 画面幅ごとの画像（lib/art-direction.mjs の検出結果）
+ * @param {string[]} [options.entries] - ページから参照されなくても使うファイル
+ * @returns {Promise<{ assets: string[], used: Set<string>, unused: string[], duplicates: string[][], references: Map }>}
+ *   パスはすべて src/ からの相対パス。duplicates は内容が同じファイルのグループ
+ *   references: URLとして書かれた参照先（存在しないファイルも含む）→ 参照元のファイル
+ */
+export async function buildAssetGraph(srcDir, { artDirection = new Map(), entries = BUILD_INPUTS } = {}) {
+  const assets = await listAssets(srcDir);
+  const assetSet = new Set(assets);
+  const used = new Set();
+  const references = new Map();
+  const queue = [];
+
+  // 参照先が src/ のファイルなら使用中にする（CSS・JSは中身もたどる）
+  const addReference = (url, fromDir, from = null) => {
+    const srcPath = resolveOutputPath(url, fromDir);
+    if (srcPath && from) {
+      if (!references.has(srcPath)) references.set(srcPath, new Set());
+      references.get(srcPath).add(from);
+    }
+    if (!srcPath || !assetSet.has(srcPath)) return;
+    if (!used.has(srcPath)) queue.push({ srcPath, fromDir });
+    used.add(srcPath);
+  };
+
+  for (const entry of entries) {
+    if (assetSet.has(entry) && !used.has(entry)) {
+      used.add(entry);
+      queue.push({ srcPath: entry, fromDir: "." });
+    }
+  }
+
+  for (const pagePath of await findHtmlPages(srcDir)) {
+    const pageDir = path.posix.dirname(pagePath);
+    const source = await fs.readFile(path.join(srcDir, pagePath), "utf-8");
+    const $ = parseHtml(await resolveIncludes(source, { srcDir, pagePath }));
+    htmlUrls($).forEach(({ url, isUrl }) => addReference(url, pageDir, isUrl ? pagePath : null));
+    // インラインスクリプト内の文字列
+    $("script:not([src])").each((i, el) => {
+      for (const [, , url] of $(el).text().matchAll(stringLiteralPattern)) addReference(url, pageDir);
+    });
+  }
+
+  while (queue.length > 0) {
+    const { srcPath, fromDir } = queue.shift();
+    if (srcPath.endsWith(".css")) {
+      const css = await fs.readFile(path.join(srcDir, srcPath), "utf-8");
+      cssUrls(css).forEach((url) => addReference(url, path.posix.dirname(srcPath), srcPath));
+    } else if (/\.m?js$/.test(srcPath)) {
+      const js = await fs.readFile(path.join(srcDir, srcPath), "utf-8");
+      for (const [, , url] of js.matchAll(stringLiteralPattern)) addReference(url, fromDir);
+    }
+  }
+
+  // 使われている画像から作られる画像（AVIF/WebP・幅ごとの画像・画面幅ごとの画像）
+  for (const srcPath of [...used]) {
+    if (!/\.(png|jpe?g)$/i.test(srcPath)) continue;
+    const variants = artDirection.get(srcPath)?.variants || [];
+    variants.forEach((variant) => used.add(variant.srcPath));
+    const stems = [srcPath, ...variants.map((variant) => variant.srcPath)].map((p) => escapeRegExp(p.replace(/\.[^.]+$/, "")));
+    const derived = new RegExp(`^(?:${stems.join("|")})(?:-\\d+w)?\\.(?:avif|webp)$`, "i");
+    assets.filter((asset) => derived.test(asset)).forEach((asset) => used.add(asset));
+  }
+
+  return {
+    assets,
+    used,
+    unused: assets.filter((asset) => !used.has(asset)),
+    duplicates: await findDuplicates(srcDir, assets),
+    references,
+  };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// 内容が同じファイルのグループ
+async function findDuplicates(srcDir, assets) {
+  const byHash = new Map();
+  for (const asset of assets) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(await fs.readFile(path.join(srcDir, asset)))
+      .digest("hex");
+    if (!byHash.has(hash)) byHash.set(hash, []);
+    byHash.get(hash).push(asset);
+  }
+  return [...byHash.values()].filter((group) => group.length > 1);
+}
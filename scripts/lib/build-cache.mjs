@@ -0,0 +1,194 @@
+/**
+ * LP Template - ビルドキャッシュ
+ *
+ * 重い処理（favicon・フォント・OGP画像・JS・ページの計測）の結果を、入力のハッシュをキーに .cache/build/ に保存する
+ * - 入力（元ファイルの内容・設定）が前回と同じなら、保存した結果を使って処理を省略する
+ * - ビルドスクリプト（scripts/lib/）・依存パッケージ（package-lock.json）が変わればすべて作り直す
+ * - 画像の変換結果は lib/image-optimizer.mjs が .cache/images/ に保存する
+ * - 全工程を実行したビルドの最後に、CACHE_MAX_AGE_DAYS 日以上使われていないエントリを削除する
+ *   （モード・ブランチを切り替えても、最近使ったエントリは残る）
+ * ※ npm run build -- --clean でキャッシュを削除して作り直せる
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { toPosixPath } from "./paths.mjs";
+
+/**
+ * 入力のハッシュ（キャッシュのキー）
+ *
+ * @param {...*} parts - Buffer・文字列・JSONにできる値（関数は無視される）
+ * @returns {string}
+ */
+export function hashInputs(...parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) {
+    hash.update(Buffer.isBuffer(part) ? part : JSON.stringify(part ?? null));
+    hash.update("\0");
+  }
+  return hash.digest("hex");
+}
+
+// ディレクトリ内のファイル（dir からの相対パス、/ 区切り）
+async function listFiles(dir, base = dir) {
+  const files = [];
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(fullPath, base)));
+    } else if (entry.isFile()) {
+      files.push(toPosixPath(path.relative(base, fullPath)));
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * ディレクトリ内のファイルのハッシュ（パスと内容）
+ *
+ * @param {string} dir
+ * @param {(relPath: string) => boolean} [filter] - 対象にするファイル
+ * @returns {Promise<string>}
+ */
+export async function hashDirectory(dir, filter = () => true) {
+  const hash = crypto.createHash("sha256");
+  for (const relPath of (await listFiles(dir)).filter(filter)) {
+    hash.update(`${relPath}\0`);
+    hash.update(await fs.readFile(path.join(dir, relPath)));
+  }
+  return hash.digest("hex");
+}
+
+// 使われなくなったエントリを削除するまでの日数
+export const CACHE_MAX_AGE_DAYS = 30;
+
+const ENTRY_META = "meta.json";
+
+// depth 階層目のディレクトリ（フルパス）
+async function listEntryDirs(dir, depth) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const dirs = [];
+  for (const entry of entries.filter((e) => e.isDirectory())) {
+    const fullPath = path.join(dir, entry.name);
+    dirs.push(...(depth > 1 ? await listEntryDirs(fullPath, depth - 1) : [fullPath]));
+  }
+  return dirs;
+}
+
+/**
+ * エントリを使ったことを記録（meta.json の更新日時を今にする、pruneCacheDir() が参照）
+ *
+ * @param {string} entryDir - エントリのディレクトリ
+ */
+export async function touchCacheEntry(entryDir) {
+  const now = new Date();
+  await fs.utimes(path.join(entryDir, ENTRY_META), now, now).catch(() => {});
+}
+
+/**
+ * 一定期間使われていないエントリを削除
+ *
+ * 最後に使った日時は meta.json の更新日時（保存・touchCacheEntry() で更新）。meta.json が無いエントリ（保存の途中で止まった）はディレクトリの日時
+ *
+ * @param {string} cacheDir - .cache/build/ / .cache/images/
+ * @param {object} [options]
+ * @param {number} [options.depth] - エントリのディレクトリの階層（.cache/images/<key>/ なら 1）
+ * @param {number} [options.maxAgeDays] - この日数以上使われていないエントリを削除
+ * @returns {Promise<number>} 削除したエントリの数
+ */
+export async function pruneCacheDir(cacheDir, { depth = 1, maxAgeDays = CACHE_MAX_AGE_DAYS } = {}) {
+  const expires = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+  for (const entryDir of await listEntryDirs(cacheDir, depth)) {
+    const stat = await fs.stat(path.join(entryDir, ENTRY_META)).catch(() => fs.stat(entryDir));
+    if (stat.mtimeMs >= expires) continue;
+    await fs.rm(entryDir, { recursive: true, force: true });
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * キャッシュを作成
+ *
+ * エントリは <cacheDir>/<namespace>/<key>/ に meta.json（data と files の対応）とファイルを保存する
+ *
+ * @param {string} cacheDir - .cache/build/
+ * @param {object} [options]
+ * @param {string} [options.version] - ビルドスクリプト・依存パッケージのハッシュ（すべてのキーに含める）
+ */
+export function createBuildCache(cacheDir, { version = "" } = {}) {
+  const entryDir = (namespace, key) => path.join(cacheDir, namespace, hashInputs(version, key));
+
+  return {
+    dir: cacheDir,
+
+    /**
+     * 保存した結果を取得
+     *
+     * @param {string} namespace - 処理の種類（favicons / fonts など）
+     * @param {string} key - hashInputs() で作ったキー
+     * @returns {Promise<{ data: *, files: Map<string, Buffer> }|null>} 無ければ null
+     */
+    async get(namespace, key) {
+      try {
+        const dir = entryDir(namespace, key);
+        const meta = JSON.parse(await fs.readFile(path.join(dir, ENTRY_META), "utf-8"));
+        const files = new Map();
+        for (const [relPath, name] of Object.entries(meta.files)) {
+          files.set(relPath, await fs.readFile(path.join(dir, name)));
+        }
+        await touchCacheEntry(dir);
+        return { data: meta.data, files };
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * 結果を保存（meta.json は最後に書き込むため、途中で止まったエントリは使われない）
+     *
+     * @param {string} namespace
+     * @param {string} key
+     * @param {{ data?: *, files?: Map<string, Buffer|string> }} entry - data: JSONにできる値、files: 出力先のパス → 内容
+     */
+    async set(namespace, key, { data = null, files = new Map() } = {}) {
+      const dir = entryDir(namespace, key);
+      await fs.mkdir(dir, { recursive: true });
+      const names = {};
+      for (const [index, [relPath, content]] of [...files].entries()) {
+        const name = `file-${index}`;
+        await fs.writeFile(path.join(dir, name), content);
+        names[relPath] = name;
+      }
+      await fs.writeFile(path.join(dir, ENTRY_META), JSON.stringify({ data, files: names }));
+    },
+
+    /**
+     * 一定期間使われていないエントリを削除（全工程を実行したビルドの最後に呼ぶ）
+     *
+     * @param {number} [maxAgeDays]
+     * @returns {Promise<number>} 削除したエントリの数
+     */
+    async prune(maxAgeDays = CACHE_MAX_AGE_DAYS) {
+      return pruneCacheDir(cacheDir, { depth: 2, maxAgeDays });
+    },
+
+    // キャッシュを削除（--clean）
+    async clear() {
+      await fs.rm(cacheDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * LP Template - ビルドの設定の読み込み
+ *
+ * .env（lib/env.mjs）と lp.config.mjs（lib/project-config.mjs）を読み込んで検証し、
+ * ページごとの設定（<!-- @page --> / ページの <title> など）を重ねる
+ * ビルド（lib/build.mjs）と個別注入（lib/inject.mjs）で共用する
+ */
+
+import { loadEnv, parseEnvLines } from "./env.mjs";
+import { validateConfig, formatIssue } from "./config.mjs";
+import { loadProjectConfig, validateProjectConfig, PROJECT_CONFIG_FILE } from "./project-config.mjs";
+import { findComments } from "./dom.mjs";
+
+// 設定を検証・正規化（形式の誤りがあればビルドを中止）
+function checkConfig(loaded, { quiet = false } = {}) {
+  const { env, errors, warnings, changes } = validateConfig(loaded);
+  for (const { key, from, to } of quiet ? [] : changes) {
+    console.log(`  Normalized ${key}: ${from || "(empty)"} → ${to}`);
+  }
+  warnings.forEach((issue) => console.warn(`⚠ ${formatIssue(issue)}`));
+  if (errors.length > 0) {
+    errors.forEach((issue) => console.error(`✗ ${formatIssue(issue)}`));
+    throw Object.assign(
+      new Error(`Invalid configuration (${errors.length} error(s)). Fix .env or run npm run validate:config for details`),
+      { code: "INVALID_CONFIG" },
+    );
+  }
+  return env;
+}
+
+// lp.config.mjs を検証して既定値と重ねる（誤りがあればビルドを中止）
+async function checkProjectConfig(projectRoot) {
+  const { config, errors } = validateProjectConfig(await loadProjectConfig(projectRoot));
+  if (errors.length > 0) {
+    errors.forEach((issue) => console.error(`✗ ${PROJECT_CONFIG_FILE}: ${formatIssue(issue)}`));
+    throw Object.assign(
+      new Error(`Invalid ${PROJECT_CONFIG_FILE} (${errors.length} error(s)). Run npm run validate:config for details`),
+      { code: "INVALID_CONFIG" },
+    );
+  }
+  return config;
+}
+
+/**
+ * .env と lp.config.mjs を読み込んで検証する
+ *
+ * 正規化した値・警告・エラーを表示し、エラーがあれば code: "INVALID_CONFIG" のエラーを投げる
+ *
+ * @param {string} projectRoot
+ * @param {object} [options]
+ * @param {string} [options.mode] - production / staging（lib/env.mjs の loadEnv()）
+ * @param {boolean} [options.quiet] - 正規化した値を表示しない（警告・エラーは表示する）
+ * @returns {Promise<{ env: object, config: object }>}
+ */
+export async function loadBuildConfig(projectRoot, { mode, quiet = false } = {}) {
+  const env = checkConfig(await loadEnv(projectRoot, { mode }), { quiet });
+  const config = await checkProjectConfig(projectRoot);
+  return { env, config };
+}
+
+// ページ個別設定を抽出（<!-- @page ... --> 内の KEY=VALUE を .env より優先、.env と同じ形式で検証・正規化）
+export function extractPageOverrides($, pagePath) {
+  const overrides = {};
+  findComments($, /^\s*@page\b/).each((i, comment) => {
+    Object.assign(overrides, parseEnvLines(comment.data.replace(/^\s*@page\b/, "")));
+    $(comment).remove();
+  });
+  const { env, errors, warnings } = validateConfig(overrides, { partial: true });
+  warnings.forEach((issue) => console.warn(`⚠ @page ${formatIssue(issue)} (${pagePath})`));
+  if (errors.length > 0) {
+    throw new Error(`Invalid @page setting: ${errors.map(formatIssue).join("; ")}`);
+  }
+  return env;
+}
+
+// ページ用の環境変数を生成
+// index.html 以外はページ自身の <title> / description を優先し、OG_URL はページのURLに置き換える
+export function getPageEnv(env, pagePath, $, overrides = {}) {
+  if (pagePath === "index.html") {
+    return { ...env, ...overrides };
+  }
+
+  const pageEnv = { ...env };
+
+  const title = $("title").first().text().trim();
+  if (title) {
+    pageEnv.SITE_TITLE = title;
+  }
+
+  const description = ($('meta[name="description"]').attr("content") || "").trim();
+  if (description) {
+    pageEnv.SITE_DESCRIPTION = description;
+  }
+
+  if (env.OG_URL) {
+    const pageUrl = pagePath.replace(/(^|\/)index\.html$/, "$1");
+    pageEnv.OG_URL = new URL(pageUrl, env.OG_URL.replace(/\/?$/, "/")).href;
+  }
+
+  return { ...pageEnv, ...overrides };
+}
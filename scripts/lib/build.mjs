@@ -0,0 +1,714 @@
+/**
+ * LP Template - ビルド
+ *
+ * src/ の内容を最適化して build/ に出力（scripts/build.mjs・devサーバーから build() を呼び出す）
+ * ※ src/ は読み取り専用（変更しない）
+ *
+ * 機能:
+ * - 画像最適化（リサイズ、AVIF/WebP変換）
+ * - width/height自動付与
+ * - lazy loading自動付与（最初の画像以外）
+ * - <img>→<picture>変換
+ * - 幅ごとの srcset（w記述子）+ sizes（表示幅を計測 / data-sizes）
+ * - パーシャルのインクルード（<!-- @include -->）
+ * - OGP/metaタグ注入
+ * - 広告タグ注入
+ * - コンバージョンコード注入（script.js を読み込まないページはインライン）
+ * - 構造化データ生成
+ * - favicon生成
+ * - Webフォントのセルフホスト（Google Fonts → 使用文字だけにサブセット化したwoff2）
+ * - 未使用CSSの削除（PURGE_CSS=true）
+ * - クリティカルCSSのインライン化 + 残りのCSSの非同期読み込み（CRITICAL_CSS=true）
+ * - HTML/CSS minify
+ * - アセットのファイル名にコンテンツハッシュを付与（manifest.json）
+ * - JS トランスパイル（ES6+ → ES5）+ minify
+ *
+ * mode: staging では .env.staging を読み込み、noindex を付けて本番の広告タグを出力しない（lib/env.mjs）
+ *
+ * 画質・ブレークポイント・minify のオプションなどは lp.config.mjs で変更できる（lib/project-config.mjs）
+ * lp.config.mjs の plugins に登録したプラグインのフックを各段階で呼び出す（lib/plugins.mjs）
+ *
+ * 入力が前回と同じ処理（画像・favicon・フォント・OGP画像・JS・ページの計測）はキャッシュを使い（lib/build-cache.mjs）、
+ * build/ には内容が変わったファイルだけ書き込む（lib/output.mjs）。一定期間使われていないキャッシュは最後に削除する。
+ * clean: true でキャッシュを使わずに作り直す
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { minify as minifyHtml } from "html-minifier-terser";
+import CleanCSS from "clean-css";
+import { minify as minifyJs } from "terser";
+import * as babel from "@babel/core";
+import { resolveIncludes, findHtmlPages } from "./includes.mjs";
+import { loadBuildConfig, extractPageOverrides, getPageEnv } from "./build-config.mjs";
+import { resolvePageConfig } from "./project-config.mjs";
+import { parseHtml, serializeHtml, runTransforms } from "./dom.mjs";
+import { updateTitle, injectMetaTags } from "./transforms/meta.mjs";
+import { injectAnalyticsTags } from "./transforms/analytics.mjs";
+import { injectStructuredData } from "./transforms/structured-data.mjs";
+import { generateFaviconTags, injectFaviconTags } from "./transforms/favicon.mjs";
+import { processImages, processStyleImages, preloadLcpImage } from "./transforms/images.mjs";
+import { rewriteAssetLinks } from "./transforms/asset-links.mjs";
+import {
+  generateConversionCode,
+  injectConversionCode,
+  CONVERSION_MARKER,
+  verifyConversionTracking,
+} from "./transforms/conversion.mjs";
+import { rewriteHashedUrls } from "./transforms/hashed-urls.mjs";
+import { selfHostFonts } from "./transforms/fonts.mjs";
+import { collectText, collectCssContent, mergeFontRequests, subsetFonts } from "./fonts.mjs";
+import { createRenderer } from "./render.mjs";
+import { measureImageWidths, inferSizes } from "./image-sizes.mjs";
+import { findPriorityImages } from "./lcp.mjs";
+import { generatePlaceholders } from "./placeholders.mjs";
+import { rewriteCssImages } from "./css-images.mjs";
+import { parseWidths } from "./image-optimizer.mjs";
+import { copyStaticAssets, parseGlobs } from "./static-assets.mjs";
+import { buildAssetGraph, listBuildEntries } from "./asset-graph.mjs";
+import { generateFavicons } from "./favicons.mjs";
+import { generateOgImage, OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT } from "./og-image.mjs";
+import { inlineCriticalCss } from "./critical-css.mjs";
+import { purgeCss, DEFAULT_SAFELIST } from "./purge-css.mjs";
+import { parseArtDirection, sortArtDirection, findArtDirectedImages } from "./art-direction.mjs";
+import { fingerprintAssets, resolveOutputPath } from "./manifest.mjs";
+import { createDiskOutput } from "./output.mjs";
+import { runPluginHook, runBeforeHtml, transformHtmlByPlugins } from "./plugins.mjs";
+import { createBuildCache, hashInputs, hashDirectory, pruneCacheDir, CACHE_MAX_AGE_DAYS } from "./build-cache.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, "..", "..");
+const srcDir = path.resolve(projectRoot, "src");
+const buildDir = path.resolve(projectRoot, "build");
+const imageCacheDir = path.resolve(projectRoot, ".cache", "images");
+const buildCacheDir = path.resolve(projectRoot, ".cache", "build");
+
+// 幅ごとの画像（name-640w.avif）を検出（"images/name" → { avif: [幅...], webp: [幅...] }）
+async function findImageVariants(output) {
+  const variants = new Map();
+  for (const file of await output.list()) {
+    const match = file.match(/^(.+)-(\d+)w\.(avif|webp)$/i);
+    if (!match) continue;
+    const [, key, width, format] = match;
+    if (!variants.has(key)) variants.set(key, { avif: [], webp: [] });
+    variants.get(key)[format.toLowerCase()].push(Number(width));
+  }
+  for (const formats of variants.values()) {
+    formats.avif.sort((a, b) => a - b);
+    formats.webp.sort((a, b) => a - b);
+  }
+  return variants;
+}
+
+// ページ・CSSから参照されているのに出力に無いファイルを警告（除外した・存在しないファイル）
+async function warnMissingReferences(graph, output, manifest = {}) {
+  const outputFiles = new Set(await output.list());
+  const isOutput = (srcPath) =>
+    [srcPath, assetLinks[srcPath], `${srcPath}.html`, path.posix.join(srcPath, "index.html")].some(
+      (file) => file && (outputFiles.has(file) || file in manifest),
+    );
+
+  for (const [srcPath, from] of graph.references) {
+    if (!isOutput(srcPath)) {
+      console.warn(`⚠ Referenced file not in build output: ${srcPath} (${[...from].join(", ")})`);
+    }
+  }
+}
+
+// どのページからも使われていない画像（src/ からの相対パス）
+// 内容が同じファイルは警告のみ（削除するかは npm run check:assets で確認）
+function findUnusedImages(graph, { prune }) {
+  for (const group of graph.duplicates) {
+    console.warn(`⚠ Duplicate files: ${group.join(" = ")}`);
+  }
+
+  const unused = graph.unused.filter((file) => /\.(png|jpe?g|gif|webp|avif|svg)$/i.test(file));
+  if (!prune || unused.length === 0) return new Set();
+  console.log(`✓ Unused images excluded (${unused.length}): ${unused.join(", ")}`);
+  return new Set(unused);
+}
+
+// プレースホルダーの対象画像（PNG/JPG、幅ごとの画像は除く）
+async function findPlaceholderTargets(output) {
+  return (await output.list()).filter((file) => /\.(png|jpe?g)$/i.test(file) && !/-\d+w\.[^.]+$/.test(file));
+}
+
+// CSSを最適化（背景画像を image-set() に書き換えてから minify）
+async function optimizeCss(filePath, { basePath, artDirection, config }) {
+  const source = await fs.readFile(filePath, "utf-8");
+  const { css, count } = rewriteCssImages(source, { basePath, artDirection });
+  const result = new CleanCSS(config.minify.css).minify(css);
+  return { css: result.styles, backgroundImages: count };
+}
+
+// JSを最適化（トランスパイル + ミニファイ、ソース・追跡コード・設定が前回と同じならキャッシュを使う）
+async function optimizeJs(filePath, env, config, cache) {
+  let js = await fs.readFile(filePath, "utf-8");
+
+  // プレースホルダーを削除
+  js = js.replace(/\/\/\s*__CONVERSION_CODE_PLACEHOLDER__/g, "");
+
+  // コンバージョンコードを追加（個別注入で差し替えられるよう目印を付けて末尾に置く）
+  const conversionCode = generateConversionCode(env, config.conversion);
+  js = js.trim() + "\n\n" + CONVERSION_MARKER + "\n" + conversionCode;
+
+  const cacheKey = hashInputs(js, config.js, config.minify.js);
+  const entry = await cache.get("js", cacheKey);
+  if (entry) return { code: entry.data, cached: true };
+
+  // Babel でトランスパイル（ES6+ → ES5）
+  const transpiled = await babel.transformAsync(js, {
+    presets: [
+      [
+        "@babel/preset-env",
+        {
+          targets: config.js.targets,
+          useBuiltIns: false, // ポリフィルは別途必要な場合のみ追加
+        },
+      ],
+    ],
+    compact: false,
+  });
+
+  // Terser でミニファイ
+  const result = await minifyJs(transpiled.code, config.minify.js);
+  await cache.set("js", cacheKey, { data: result.code });
+  return { code: result.code, cached: false };
+}
+
+// ページに適用する変換（順番に実行）
+const pageTransforms = [
+  updateTitle,
+  injectMetaTags,
+  injectAnalyticsTags,
+  injectFaviconTags,
+  injectStructuredData,
+  // プラグインが追加した画像・アセットも、以降の変換で最適化・書き換えする
+  transformHtmlByPlugins,
+  processImages,
+  processStyleImages,
+  preloadLcpImage,
+  injectConversionCode,
+  rewriteAssetLinks,
+  verifyConversionTracking,
+  selfHostFonts,
+];
+
+// src/ の共通CSS/JS → 出力するファイル（ページの参照を書き換える）
+const assetLinks = { "style.css": "style.min.css", "script.js": "script.min.js" };
+
+// 全ページの変換後、フォント・アセットのハッシュが確定してから適用する変換
+const finalTransforms = [rewriteHashedUrls];
+
+// src/ のファイルを返す（レンダリング時にページが参照するCSS・画像の読み込み元）
+const srcFiles = {
+  read: (relPath) => fs.readFile(path.join(srcDir, relPath)),
+};
+
+// ページ内の画像の表示幅を計測（ブラウザを起動できなければ空）
+// ページのHTML・src/ のファイル（srcKey）が前回と同じなら、キャッシュした計測結果を使う
+async function measurePageImages(renderer, $, pagePath, { breakpoint, cache, srcKey }) {
+  if ($("img[src]").length === 0) return new Map();
+
+  const html = serializeHtml($);
+  const cacheKey = hashInputs(html, pagePath, srcKey, breakpoint);
+  let samples = (await cache.get("image-sizes", cacheKey))?.data;
+  if (!samples) {
+    const browser = await renderer.get();
+    if (!browser) return new Map();
+    samples = [...(await measureImageWidths(browser, { html, pagePath, output: srcFiles, breakpoint }))];
+    await cache.set("image-sizes", cacheKey, { data: samples });
+  }
+
+  const pageDir = path.posix.dirname(pagePath);
+  const sizes = new Map();
+  for (const [src, imageSamples] of samples) {
+    const srcPath = resolveOutputPath(src, pageDir);
+    // どのビューポートでも表示されていない画像は計測結果を使わない（記述された width / 100vw）
+    const inferred = srcPath && inferSizes(imageSamples, breakpoint);
+    if (inferred) sizes.set(srcPath, inferred);
+  }
+  return sizes;
+}
+
+// ページのLCP画像・ファーストビューの画像を検出（ブラウザを起動できなければ null、キャッシュは計測と同じ）
+async function findPagePriorityImages(renderer, $, pagePath, { cache, srcKey }) {
+  if ($("img[src]").length === 0) return null;
+
+  const html = serializeHtml($);
+  const cacheKey = hashInputs(html, pagePath, srcKey);
+  let result = (await cache.get("priority-images", cacheKey))?.data;
+  if (!result) {
+    const browser = await renderer.get();
+    if (!browser) return null;
+    const { lcp, aboveFold } = await findPriorityImages(browser, { html, pagePath, output: srcFiles });
+    result = { lcp: [...lcp], aboveFold: [...aboveFold] };
+    await cache.set("priority-images", cacheKey, { data: result });
+  }
+
+  const pageDir = path.posix.dirname(pagePath);
+  const { lcp, aboveFold } = result;
+  const toSrcPath = (src) => resolveOutputPath(src, pageDir);
+  return {
+    lcp: new Map([...lcp].map(([viewport, src]) => [viewport, toSrcPath(src)]).filter(([, srcPath]) => srcPath)),
+    aboveFold: new Set([...aboveFold].map(toSrcPath).filter(Boolean)),
+  };
+}
+
+// ページのOGP画像を生成し、og:image / twitter:image 用の環境変数を返す
+// SNSは絶対URLが必要なため、サイト全体の OG_URL のオリジンに BASE_PATH を付けたURLにする
+// タイトル・色・ロゴ（srcKey）が前回と同じなら、キャッシュした画像を使う
+async function generatePageOgImage(pagePath, pageEnv, { env, basePath, output, cache, srcKey }) {
+  const cacheKey = hashInputs(pagePath, pageEnv, srcKey);
+  const entry = await cache.get("og-images", cacheKey);
+  let relPath;
+  if (entry) {
+    relPath = entry.data;
+    await output.write(relPath, entry.files.get(relPath));
+  } else {
+    relPath = await generateOgImage(srcDir, output, { pagePath, env: pageEnv });
+    await cache.set("og-images", cacheKey, { data: relPath, files: new Map([[relPath, await output.read(relPath)]]) });
+  }
+
+  const urlPath = `${basePath}/${relPath}`;
+  if (!env.OG_URL) {
+    console.warn(`⚠ OG_URL is not set, og:image is not an absolute URL (${pagePath})`);
+  }
+  console.log(`✓ OG image generated: ${relPath}${entry ? " (cached)" : ""}`);
+  return {
+    OG_IMAGE_URL: env.OG_URL ? new URL(urlPath, env.OG_URL).href : urlPath,
+    OG_IMAGE_WIDTH: String(OG_IMAGE_WIDTH),
+    OG_IMAGE_HEIGHT: String(OG_IMAGE_HEIGHT),
+  };
+}
+
+// ページ単位のHTML処理（変換まで。出力は finalizePage で行う）
+async function preparePage(
+  pagePath,
+  {
+    env,
+    config,
+    dimensions,
+    basePath,
+    artDirection,
+    imageVariants,
+    placeholders,
+    faviconTags,
+    sharedScript,
+    renderer,
+    output,
+    cache,
+    srcKey,
+  },
+) {
+  const pageDir = path.posix.dirname(pagePath);
+  const source = await fs.readFile(path.join(srcDir, pagePath), "utf-8");
+  const pageConfig = resolvePageConfig(config, pagePath);
+
+  // パーシャルを展開してからパース（プラグインの beforeHtml はその間）
+  const html = await runBeforeHtml(config.plugins, await resolveIncludes(source, { srcDir, pagePath }), {
+    pagePath,
+    env,
+    config: pageConfig,
+  });
+  const $ = parseHtml(html);
+  const overrides = extractPageOverrides($, pagePath);
+  const pageEnv = getPageEnv(env, pagePath, $, overrides);
+
+  // OGP画像を生成（OG_IMAGE_GENERATE=true、ページで OG_IMAGE_URL を指定した場合を除く）
+  if (pageEnv.OG_IMAGE_GENERATE === "true" && !overrides.OG_IMAGE_URL) {
+    try {
+      Object.assign(pageEnv, await generatePageOgImage(pagePath, pageEnv, { env, basePath, output, cache, srcKey }));
+    } catch (error) {
+      console.warn(`⚠ OG image generation failed (${pagePath}): ${error.message}`);
+    }
+  }
+
+  // 画像の表示幅（sizes 属性と srcset の候補幅に使う、MEASURE_IMAGE_SIZES=false で無効）
+  let imageSizes = new Map();
+  if (pageEnv.MEASURE_IMAGE_SIZES !== "false") {
+    try {
+      imageSizes = await measurePageImages(renderer, $, pagePath, { breakpoint: pageConfig.breakpoint, cache, srcKey });
+    } catch (error) {
+      console.log(`  Image size measurement skipped (${pagePath}): ${error.message}`);
+    }
+  }
+
+  // LCP画像・ファーストビューの画像（fetchpriority / preload / lazy loading、DETECT_LCP=false で無効）
+  let imagePriority = null;
+  if (pageEnv.DETECT_LCP !== "false") {
+    try {
+      imagePriority = await findPagePriorityImages(renderer, $, pagePath, { cache, srcKey });
+    } catch (error) {
+      console.log(`  LCP detection skipped (${pagePath}): ${error.message}`);
+    }
+  }
+
+  return runTransforms(
+    {
+      $,
+      pagePath,
+      pageDir,
+      env: pageEnv,
+      config: pageConfig,
+      basePath,
+      dimensions,
+      artDirection,
+      imageVariants,
+      imageSizes,
+      placeholders,
+      imagePriority,
+      faviconTags,
+      sharedScript,
+      assetLinks,
+    },
+    pageTransforms,
+  );
+}
+
+// ページの仕上げ（ハッシュ付きURLへの置き換え + minify）と出力
+async function finalizePage(ctx, { output, manifest }) {
+  await runTransforms({ ...ctx, manifest }, finalTransforms);
+
+  const html = serializeHtml(ctx.$);
+
+  // minify（lp.config.mjs の minify.html、ページごとに変更できる）
+  const minified = await minifyHtml(html, ctx.config.minify.html);
+
+  await output.write(ctx.pagePath, minified);
+}
+
+// ページで使われているWebフォントをサブセット化して出力
+async function buildFonts(pages, output, { previous, cache }) {
+  const requests = mergeFontRequests(pages.flatMap((ctx) => ctx.webFonts || []));
+  if (requests.length === 0) return null;
+
+  // style.css の content（::before の記号など）も含める
+  let text = pages.map((ctx) => collectText(ctx.$)).join("");
+  try {
+    text += collectCssContent(await fs.readFile(path.join(srcDir, "style.css"), "utf-8"));
+  } catch {
+    // style.css が無い場合はスキップ
+  }
+
+  const fonts = await subsetFonts(requests, text, output, { previous, cache });
+  const totalSize = fonts.files.reduce((sum, file) => sum + file.size, 0);
+  const cached = fonts.cached ? ", cached" : "";
+  console.log(`✓ Fonts subsetted (${fonts.files.length} files, ${Math.round(totalSize / 1024)}KB${cached})`);
+  return fonts;
+}
+
+// 未使用CSSを削除（ページ内の <style> はそのページ、style.min.css は全ページで判定）
+async function purgeUnusedCss(pages, { output, css, env }) {
+  const safelist = env.PURGE_CSS_SAFELIST
+    ? env.PURGE_CSS_SAFELIST.split(",").map((name) => name.trim().replace(/^\./, "")).filter(Boolean)
+    : DEFAULT_SAFELIST;
+  const formatSaved = (bytes) => `-${(bytes / 1024).toFixed(1)}KB`;
+
+  for (const ctx of pages) {
+    const { $ } = ctx;
+    let saved = 0;
+    $("style").each((i, el) => {
+      const result = purgeCss($(el).text(), [$], { safelist });
+      $(el).text(result.css);
+      saved += result.saved;
+    });
+    console.log(`✓ Unused CSS removed: ${ctx.pagePath} (${formatSaved(saved)})`);
+  }
+
+  // 部分ビルドでも元のCSSから判定し直せるよう、css 工程の結果（state.css）から毎回削除する
+  if (css) {
+    const result = purgeCss(css, pages.map((ctx) => ctx.$), { safelist });
+    await output.write("style.min.css", result.css);
+    console.log(`✓ Unused CSS removed: style.min.css (${formatSaved(result.saved)})`);
+  }
+}
+
+// クリティカルCSSをインライン化（CRITICAL_CSS=true のページのみ）
+// ブラウザを起動できない環境ではスキップし、CSSは通常どおり読み込む
+async function buildCriticalCss(pages, { output, basePath, renderer }) {
+  const targets = pages.filter((ctx) => ctx.env.CRITICAL_CSS === "true");
+  if (targets.length === 0) return;
+
+  const browser = await renderer.get();
+  if (!browser) {
+    console.log("  Critical CSS skipped");
+    return;
+  }
+
+  for (const ctx of targets) {
+    try {
+      const { critical, total } = await inlineCriticalCss(browser, ctx, { output, basePath });
+      console.log(
+        `✓ Critical CSS: ${ctx.pagePath} (${(critical / 1024).toFixed(1)}KB inline / ${(total / 1024).toFixed(1)}KB total)`,
+      );
+    } catch (error) {
+      console.error(`✗ Critical CSS failed (${ctx.pagePath}):`, error.message);
+    }
+  }
+}
+
+// ビルドキャッシュを開く（ビルドスクリプト・依存パッケージが変わったら前回の結果は使わない）
+async function openBuildCache() {
+  const version = hashInputs(
+    await hashDirectory(__dirname),
+    await fs.readFile(path.join(projectRoot, "package-lock.json")).catch(() => null),
+  );
+  return createBuildCache(buildCacheDir, { version });
+}
+
+// 工程ごとの所要時間（mark() で前回の mark() からの時間を記録）
+function createTimer() {
+  const start = performance.now();
+  let last = start;
+  const timings = [];
+  const format = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+  return {
+    mark(name) {
+      const now = performance.now();
+      timings.push(`${name} ${format(now - last)}`);
+      last = now;
+    },
+    summary() {
+      return `${timings.join(" / ")} (total ${format(performance.now() - start)})`;
+    },
+  };
+}
+
+// ビルドの工程（devサーバーは変更されたファイルに応じて一部だけ再実行する）
+export const BUILD_PHASES = ["assets", "css", "js", "pages"];
+
+/**
+ * ビルドを実行
+ *
+ * @param {object} [options]
+ * @param {object} [options.output] - 出力先（lib/output.mjs、既定: build/）
+ * @param {boolean} [options.hash] - アセットのファイル名にハッシュを付けるか（全工程を実行する場合のみ）
+ * @param {string[]} [options.phases] - 実行する工程（既定: すべて）
+ * @param {object} [options.state] - 前回のビルド結果（一部の工程だけ再実行する場合に渡す）
+ * @param {boolean} [options.pruneUnused] - どのページからも使われていない画像を出力しないか
+ *   （devサーバーはHTMLだけの再ビルドで画像を出力し直さないため false）
+ * @param {string} [options.mode] - production / staging（既定: VERCEL_ENV=preview なら staging）
+ * @param {boolean} [options.clean] - キャッシュ（.cache/）を削除し、出力先を作り直す（全工程を実行する場合のみ）
+ * @returns {Promise<object>} 次回の部分ビルドに渡す state
+ */
+export async function build({
+  output = createDiskOutput(buildDir),
+  hash = true,
+  phases = BUILD_PHASES,
+  state = {},
+  pruneUnused = true,
+  mode,
+  clean = false,
+} = {}) {
+  const isFull = BUILD_PHASES.every((phase) => phases.includes(phase));
+  console.log(isFull ? "Building LP...\n" : `Rebuilding LP (${phases.join(", ")})...\n`);
+  const timer = createTimer();
+
+  if (isFull) {
+    state = await loadBuildConfig(projectRoot, { mode });
+    if (state.env.MODE !== "production") {
+      console.log(`Mode: ${state.env.MODE}${state.env.NOINDEX === "true" ? " (noindex)" : ""}`);
+    }
+
+    // BASE_PATHを取得（末尾スラッシュを除去）
+    state.basePath = state.env.BASE_PATH ? state.env.BASE_PATH.replace(/\/$/, "") : "";
+    if (state.basePath) {
+      console.log(`Using BASE_PATH: ${state.basePath}`);
+    }
+
+    // キャッシュを開く（clean: 前回までの結果を削除）
+    state.cache = await openBuildCache();
+    if (clean) {
+      await fs.rm(imageCacheDir, { recursive: true, force: true });
+      await state.cache.clear();
+      console.log("✓ Cache cleared (.cache/)");
+    }
+
+    // 出力先をクリア（build/ は最後に差分だけ書き込む）
+    await output.clear();
+    timer.mark("config");
+  }
+
+  const { env, config, basePath, cache } = state;
+
+  if (phases.includes("assets")) {
+    // 画面幅ごとの画像（-sp など）・参照関係を調べる
+    const artDirectionRules = sortArtDirection(parseArtDirection(env.IMAGE_ART_DIRECTION, config.breakpoint));
+    state.artDirection = await findArtDirectedImages(srcDir, artDirectionRules);
+    state.assetGraph = await buildAssetGraph(srcDir, {
+      artDirection: state.artDirection,
+      entries: listBuildEntries(env),
+    });
+    const skip = findUnusedImages(state.assetGraph, { prune: pruneUnused && env.PRUNE_UNUSED_ASSETS !== "false" });
+
+    // 静的アセットを出力（画像は最適化、テキストは minify、それ以外はコピー。src/ は変更しない）
+    state.dimensions = {};
+    state.imageVariants = new Map();
+    state.placeholders = new Map();
+    try {
+      const assets = await copyStaticAssets(srcDir, output, {
+        include: parseGlobs(env.STATIC_INCLUDE) || undefined,
+        exclude: parseGlobs(env.STATIC_EXCLUDE) || [],
+        skip,
+        images: { projectRoot, cacheDir: imageCacheDir, widths: parseWidths(env.IMAGE_WIDTHS), ...config.images },
+        minify: config.minify,
+      });
+      state.dimensions = assets.dimensions;
+      // 幅ごとの画像を検出
+      state.imageVariants = await findImageVariants(output);
+      // lazy loading の画像のプレースホルダー（IMAGE_PLACEHOLDER=false で無効）
+      if (env.IMAGE_PLACEHOLDER !== "false") {
+        state.placeholders = await generatePlaceholders(output, await findPlaceholderTargets(output));
+      }
+
+      const details = [`${assets.optimized} images optimized (${assets.cached} cached)`];
+      if (state.artDirection.size > 0) details.push(`${state.artDirection.size} art-directed`);
+      if (assets.minified > 0) details.push(`${assets.minified} minified`);
+      if (assets.copied > 0) details.push(`${assets.copied} copied`);
+      console.log(`✓ Static assets (${details.join(", ")})`);
+    } catch (error) {
+      console.error("✗ Static assets failed:", error.message);
+    }
+
+    // Favicon生成
+    state.faviconTags = "";
+    try {
+      const favicons = await generateFavicons(srcDir, output, env, basePath, config.favicon, cache);
+      if (favicons) {
+        state.faviconTags = generateFaviconTags(basePath, favicons);
+        const formats = favicons.svg ? "ICO, PNG, SVG" : "ICO, PNG";
+        console.log(`✓ Favicon generated (${formats}, site.webmanifest${favicons.cached ? ", cached" : ""})`);
+      }
+    } catch (error) {
+      console.log(`  Favicon generation skipped: ${error.message}`);
+    }
+
+    // プラグイン（静的アセットの出力後、失敗したらビルドを中止）
+    await runPluginHook(config.plugins, "afterAssets", { env, config, basePath, srcDir, output });
+    timer.mark("assets");
+  }
+
+  if (phases.includes("css")) {
+    // CSS処理
+    const cssPath = path.join(srcDir, "style.css");
+    state.css = null;
+    try {
+      const { css, backgroundImages } = await optimizeCss(cssPath, state);
+      await output.write("style.min.css", css);
+      state.css = css;
+      console.log(backgroundImages > 0 ? `✓ CSS optimized (${backgroundImages} background images)` : "✓ CSS optimized");
+    } catch (error) {
+      console.error("✗ CSS optimization failed:", error.message);
+    }
+    timer.mark("css");
+  }
+
+  if (phases.includes("js")) {
+    // JS処理
+    // 追跡コード入りの script.min.js が出力できた場合のみ、ページから共通スクリプトとして参照する
+    const jsPath = path.join(srcDir, "script.js");
+    state.sharedScript = null;
+    try {
+      const { code, cached } = await optimizeJs(jsPath, env, config, cache);
+      await output.write("script.min.js", code);
+      state.sharedScript = { src: "script.js", output: "script.min.js" };
+      console.log(`✓ JS optimized (transpiled + minified${cached ? ", cached" : ""})`);
+    } catch (error) {
+      console.error("✗ JS optimization failed:", error.message);
+    }
+    timer.mark("js");
+  }
+
+  if (phases.includes("pages")) {
+    // HTML処理（src/ 配下の全ページ）
+    const pages = await findHtmlPages(srcDir);
+    // ページ以外の src/ のファイル（ページの計測・OGP画像のキャッシュのキー、パーシャルは展開後のHTMLに含まれる）
+    const srcKey = await hashDirectory(srcDir, (file) => !file.endsWith(".html"));
+    const failedPages = [];
+    const prepared = [];
+    const renderer = createRenderer();
+    try {
+      for (const pagePath of pages) {
+        try {
+          prepared.push(await preparePage(pagePath, { ...state, renderer, output, srcKey }));
+        } catch (error) {
+          console.error(`✗ HTML optimization failed (${pagePath}):`, error.message);
+          failedPages.push(pagePath);
+        }
+      }
+
+      // 未使用CSSの削除（全ページの変換後に判定）
+      if (env.PURGE_CSS === "true") {
+        await purgeUnusedCss(prepared, { output, css: state.css, env });
+      }
+
+      // Webフォント（全ページで使われている文字が揃ってからサブセット化）
+      state.fonts = await buildFonts(prepared, output, { previous: state.fonts, cache });
+
+      // クリティカルCSS（フォント・CSSが出力先に揃ってからレンダリング）
+      await buildCriticalCss(prepared, { output, basePath, renderer });
+    } finally {
+      await renderer.close();
+    }
+
+    // アセットをハッシュ付きファイル名にリネーム（HTMLの参照は finalizePage で書き換える）
+    if (isFull && hash) {
+      state.manifest = await fingerprintAssets(output, basePath);
+      await output.write("manifest.json", JSON.stringify(state.manifest, null, 2));
+      console.log(`✓ Assets fingerprinted (${Object.keys(state.manifest).length} files, manifest.json)`);
+    }
+
+    for (const ctx of prepared) {
+      try {
+        await finalizePage(ctx, { output, manifest: state.manifest });
+        console.log(`✓ HTML optimized: ${ctx.pagePath}`);
+      } catch (error) {
+        console.error(`✗ HTML optimization failed (${ctx.pagePath}):`, error.message);
+        failedPages.push(ctx.pagePath);
+      }
+    }
+    state.pages = pages;
+
+    if (isFull && state.assetGraph) {
+      await warnMissingReferences(state.assetGraph, output, state.manifest);
+    }
+
+    if (failedPages.length > 0) {
+      throw new Error(`${failedPages.length} page(s) failed: ${failedPages.join(", ")}`);
+    }
+    timer.mark("pages");
+  }
+
+  // build/ に書き込む（内容が変わったファイルだけ。失敗した場合は前回の出力が残る）
+  const written = await output.commit({ clean });
+  if (written) {
+    console.log(`✓ Output written (${written.written} changed, ${written.unchanged} unchanged, ${written.removed} removed)`);
+    timer.mark("output");
+  }
+
+  // 一定期間使われていないキャッシュを削除（全工程を実行した場合のみ）
+  if (isFull) {
+    const pruned = (await cache.prune()) + (await pruneCacheDir(imageCacheDir));
+    if (pruned > 0) console.log(`✓ Cache pruned (${pruned} entries unused for ${CACHE_MAX_AGE_DAYS}+ days)`);
+  }
+
+  // プラグイン（全ページの出力後。ハッシュを付けないビルドでは manifest は空）
+  await runPluginHook(config.plugins, "afterBuild", {
+    env,
+    config,
+    basePath,
+    srcDir,
+    output,
+    phases,
+    pages: state.pages || [],
+    manifest: state.manifest || {},
+  });
+
+  console.log(`  Timing: ${timer.summary()}`);
+  console.log(output.dir ? `\n✓ Build complete! Output: ${path.relative(projectRoot, output.dir)}/` : "\n✓ Build complete!");
+  return state;
+}
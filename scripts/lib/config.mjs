@@ -0,0 +1,375 @@
+/**
+ * LP Template - 設定（.env）のスキーマと検証
+ *
+ * 対応しているキーごとに形式を定義し、
+ * - 表記の揺れで意味が一意に決まるものは正規化（"ja-JP" → "ja_JP"、"AW-123/abc" → "abc" など）
+ * - 形式の誤りはエラー（ビルドを中止する）
+ * - 知らないキー・組み合わせの問題は警告
+ *
+ * 値が空のキーは未設定として扱う（検証しない）
+ */
+
+// ---------------------------------------------------------------------------
+// 値の型
+// normalize: 表記を揃える（env は正規化中の設定全体）/ check: 問題があればメッセージ、無ければ null
+// ---------------------------------------------------------------------------
+
+const text = () => ({});
+
+const boolean = () => ({
+  normalize: (value) => {
+    const lower = value.toLowerCase();
+    if (["true", "1", "yes", "on"].includes(lower)) return "true";
+    if (["false", "0", "no", "off"].includes(lower)) return "false";
+    return value;
+  },
+  check: (value) => (value === "true" || value === "false" ? null : "expected true or false"),
+});
+
+const pattern = (regex, example, normalize) => ({
+  normalize,
+  check: (value) => (regex.test(value) ? null : `expected a value like ${example}`),
+});
+
+const oneOf = (values, { canonical = (value) => value } = {}) => ({
+  normalize: (value) => {
+    const match = values.find((candidate) => candidate.toLowerCase() === canonical(value).toLowerCase());
+    return match || value;
+  },
+  check: (value) => (values.includes(value) ? null : `expected one of ${values.join(", ")}`),
+});
+
+const integer = ({ min = -Infinity, max = Infinity } = {}) => ({
+  check: (value) => {
+    if (!/^-?\d+$/.test(value)) return "expected an integer";
+    const number = Number(value);
+    if (number < min || number > max) return `expected an integer between ${min} and ${max}`;
+    return null;
+  },
+});
+
+// 金額など（3桁区切りのカンマは取り除く）
+const decimal = ({ min = 0 } = {}) => ({
+  normalize: (value) => (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(value) ? value.replace(/,/g, "") : value),
+  check: (value) => {
+    if (!/^-?\d+(\.\d+)?$/.test(value)) return "expected a number (e.g. 3000)";
+    return Number(value) < min ? `expected a number of at least ${min}` : null;
+  },
+});
+
+// カンマ区切りのリスト（各要素を item で検証）
+const list = (item) => ({
+  normalize: (value, env) =>
+    value
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => (item.normalize ? item.normalize(part, env) : part))
+      .join(","),
+  check: (value, env) => {
+    for (const part of value.split(",")) {
+      const message = item.check?.(part, env);
+      if (message) return `"${part}": ${message}`;
+    }
+    return null;
+  },
+});
+
+const url = () => ({
+  check: (value) => {
+    try {
+      const parsed = new URL(value);
+      return ["http:", "https:"].includes(parsed.protocol) ? null : "expected an http(s) URL";
+    } catch {
+      return "expected an absolute URL (e.g. https://example.com/)";
+    }
+  },
+});
+
+// CSSの色（#なしの16進数には # を付ける）
+const color = () => ({
+  normalize: (value) => (/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ? `#${value}` : value),
+  check: (value) =>
+    /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) || /^(rgb|hsl)a?\(.+\)$/i.test(value) || /^[a-z]+$/i.test(value)
+      ? null
+      : "expected a CSS color (e.g. #1a3a6b)",
+});
+
+// ISO 8601 の日付・日時（"2025/04/01" → "2025-04-01"、"2025-04-01 10:00" → "2025-04-01T10:00"）
+const isoDate = () => ({
+  normalize: (value) =>
+    value.replace(/^(\d{4})\/(\d{1,2})\/(\d{1,2})/, (match, y, m, d) => `${y}-${m.padStart(2, "0")}-${d.padStart(2, "0")}`)
+      .replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2})/, "$1T$2"),
+  check: (value) => {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/);
+    if (!match) return "expected an ISO 8601 date (e.g. 2025-04-01 or 2025-04-01T19:00+09:00)";
+    const [, y, m, d] = match.map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? null : "is not a valid date";
+  },
+});
+
+const email = () => pattern(/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "info@example.com");
+const phone = () => pattern(/^\+?[\d\-() ]{6,}$/, "03-1234-5678 or +81-3-1234-5678");
+const currency = () => pattern(/^[A-Z]{3}$/, "JPY", (value) => value.toUpperCase());
+
+// src/ からの相対パス（先頭の / と src/ は取り除く）
+const srcPath = () => ({
+  normalize: (value) => value.replace(/^\/+/, "").replace(/^src\//, ""),
+  check: (value) => (value.split("/").includes("..") ? "must be inside src/" : null),
+});
+
+// ---------------------------------------------------------------------------
+// スキーマ（.env.example の順）
+// ---------------------------------------------------------------------------
+
+const ITEM_AVAILABILITY = [
+  "InStock", "OutOfStock", "PreOrder", "PreSale", "BackOrder", "Discontinued", "InStoreOnly",
+  "LimitedAvailability", "OnlineOnly", "SoldOut", "MadeToOrder", "Reserved",
+];
+
+const OG_TYPES = [
+  "website", "article", "profile", "book", "product",
+  "video.movie", "video.episode", "video.tv_show", "video.other",
+  "music.song", "music.album", "music.playlist", "music.radio_station",
+];
+
+export const CONFIG_SCHEMA = {
+  // 基本
+  BASE_PATH: {
+    normalize: (value) => `/${value.replace(/^\/+|\/+$/g, "")}`.replace(/^\/$/, ""),
+    check: (value) => (/^(\/[\w.~-]+)*$/.test(value) ? null : "expected a path like /campaign"),
+  },
+  NOINDEX: boolean(),
+
+  // 広告タグ
+  GA_MEASUREMENT_ID: pattern(/^G-[A-Z0-9]+$/, "G-XXXXXXXXXX", (value) => value.toUpperCase()),
+  GA_ADS_ID: pattern(/^AW-\d+$/, "AW-123456789", (value) => (/^\d+$/.test(value) ? `AW-${value}` : value.toUpperCase())),
+  // "AW-123456789/abcDEF" のように送信先ごと書いた場合はラベルだけにする（send_to は GA_ADS_ID と組み合わせて作る）
+  GA_ADS_CONVERSION_LABEL: {
+    normalize: (value, env) => {
+      const match = value.match(/^(AW-\d+)\/(.+)$/i);
+      if (!match) return value;
+      if (!env.GA_ADS_ID) env.GA_ADS_ID = match[1].toUpperCase();
+      return env.GA_ADS_ID.toUpperCase() === match[1].toUpperCase() ? match[2] : value;
+    },
+    check: (value) => {
+      if (/^AW-\d+\//i.test(value)) return "has a conversion ID different from GA_ADS_ID (write only the label, e.g. abcDEF123)";
+      return /^[\w-]+$/.test(value) ? null : "expected only the conversion label (e.g. abcDEF123)";
+    },
+  },
+  META_PIXEL_ID: pattern(/^\d+$/, "123456789012345"),
+  LINE_TAG_ID: pattern(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, "xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx"),
+  YAHOO_RETARGETING_ID: pattern(/^[A-Za-z0-9]+$/, "ABCDEFGHIJ"),
+  YAHOO_CONVERSION_ID: pattern(/^\d+$/, "1000123456"),
+  YAHOO_CONVERSION_LABEL: pattern(/^[\w-]+$/, "abcDEF123"),
+  CLARITY_PROJECT_ID: pattern(/^[a-z0-9]+$/, "abcde12345", (value) => value.toLowerCase()),
+
+  // コンバージョン
+  TRACK_SCROLL_DEPTH: boolean(),
+  TRACK_TIME_ON_PAGE: list(integer({ min: 1 })),
+
+  // 静的アセット・画像
+  STATIC_INCLUDE: text(),
+  STATIC_EXCLUDE: text(),
+  PRUNE_UNUSED_ASSETS: boolean(),
+  IMAGE_WIDTHS: list(integer({ min: 1, max: 10000 })),
+  MEASURE_IMAGE_SIZES: boolean(),
+  DETECT_LCP: boolean(),
+  IMAGE_PLACEHOLDER: oneOf(["blur", "color", "false"]),
+  IMAGE_ART_DIRECTION: {
+    check: (value) => {
+      const invalid = value.split(";").map((entry) => entry.trim()).find((entry) => entry && !/^-?[\w-]+\s*=\s*\(.+\)$/.test(entry));
+      return invalid ? `"${invalid}": expected suffix=(media query), e.g. -sp=(max-width: 767px)` : null;
+    },
+  },
+
+  // favicon
+  FAVICON_SRC: srcPath(),
+  FAVICON_SVG: srcPath(),
+  FAVICON_SVG_DARK: srcPath(),
+  THEME_COLOR: color(),
+  BACKGROUND_COLOR: color(),
+
+  // CSS・フォント
+  PURGE_CSS: boolean(),
+  PURGE_CSS_SAFELIST: text(),
+  CRITICAL_CSS: boolean(),
+  FONT_PRELOAD_WEIGHT: list(oneOf(["100", "200", "300", "400", "500", "600", "700", "800", "900"])),
+
+  // OGP / SNS
+  SITE_TITLE: text(),
+  SITE_DESCRIPTION: text(),
+  OG_TYPE: oneOf(OG_TYPES),
+  OG_URL: url(),
+  OG_IMAGE_URL: url(),
+  OG_IMAGE_WIDTH: integer({ min: 1 }),
+  OG_IMAGE_HEIGHT: integer({ min: 1 }),
+  OG_SITE_NAME: text(),
+  OG_LOCALE: pattern(/^[a-z]{2,3}_[A-Z]{2}$/, "ja_JP", (value) =>
+    value.replace(/^([a-z]{2,3})[-_]([a-z]{2})$/i, (match, lang, region) => `${lang.toLowerCase()}_${region.toUpperCase()}`),
+  ),
+  OG_IMAGE_GENERATE: boolean(),
+  OG_IMAGE_LOGO: srcPath(),
+  OG_IMAGE_BACKGROUND: color(),
+  OG_IMAGE_TEXT_COLOR: color(),
+  OG_IMAGE_TEMPLATE: srcPath(),
+  TWITTER_CARD: oneOf(["summary", "summary_large_image", "app", "player"]),
+  TWITTER_SITE: pattern(/^@\w{1,15}$/, "@example", (value) => (value.startsWith("@") ? value : `@${value}`)),
+  TWITTER_CREATOR: pattern(/^@\w{1,15}$/, "@example", (value) => (value.startsWith("@") ? value : `@${value}`)),
+
+  // 構造化データ
+  STRUCTURED_DATA_TYPE: list(oneOf(["Event", "Product", "LocalBusiness", "Organization", "FAQPage"])),
+  EVENT_NAME: text(),
+  EVENT_START_DATE: isoDate(),
+  EVENT_END_DATE: isoDate(),
+  EVENT_LOCATION_NAME: text(),
+  EVENT_LOCATION_ADDRESS: text(),
+  EVENT_DESCRIPTION: text(),
+  EVENT_IMAGE_URL: url(),
+  EVENT_OFFER_PRICE: decimal(),
+  EVENT_OFFER_CURRENCY: currency(),
+  EVENT_OFFER_URL: url(),
+  EVENT_PERFORMER: text(),
+  PRODUCT_NAME: text(),
+  PRODUCT_DESCRIPTION: text(),
+  PRODUCT_IMAGE_URL: url(),
+  PRODUCT_BRAND: text(),
+  PRODUCT_SKU: text(),
+  PRODUCT_PRICE: decimal(),
+  PRODUCT_CURRENCY: currency(),
+  // "InStock" などは schema.org のURLにする
+  PRODUCT_AVAILABILITY: oneOf(
+    ITEM_AVAILABILITY.map((value) => `https://schema.org/${value}`),
+    { canonical: (value) => `https://schema.org/${value.replace(/^https?:\/\/schema\.org\//i, "")}` },
+  ),
+  PRODUCT_REVIEW_RATING: decimal(),
+  PRODUCT_REVIEW_COUNT: integer({ min: 0 }),
+  BUSINESS_NAME: text(),
+  BUSINESS_TYPE: pattern(/^[A-Z][A-Za-z]+$/, "LocalBusiness or a subtype such as AccountingService"),
+  BUSINESS_ADDRESS: text(),
+  BUSINESS_POSTAL_CODE: text(),
+  BUSINESS_REGION: text(),
+  BUSINESS_CITY: text(),
+  BUSINESS_COUNTRY: pattern(/^[A-Z]{2}$/, "JP", (value) => value.toUpperCase()),
+  BUSINESS_PHONE: phone(),
+  BUSINESS_URL: url(),
+  BUSINESS_IMAGE_URL: url(),
+  BUSINESS_PRICE_RANGE: text(),
+  BUSINESS_OPENING_HOURS: text(),
+  ORG_NAME: text(),
+  ORG_URL: url(),
+  ORG_LOGO_URL: url(),
+  ORG_DESCRIPTION: text(),
+  ORG_EMAIL: email(),
+  ORG_PHONE: phone(),
+  ORG_ADDRESS: text(),
+  ORG_SOCIAL_FACEBOOK: url(),
+  ORG_SOCIAL_TWITTER: url(),
+  ORG_SOCIAL_INSTAGRAM: url(),
+  ORG_SOCIAL_YOUTUBE: url(),
+
+  // 検証
+  PAGESPEED_API_KEY: text(),
+};
+
+// ビルドが設定するキー（lib/env.mjs）
+const INTERNAL_KEYS = ["MODE"];
+
+export const CONFIG_KEYS = Object.keys(CONFIG_SCHEMA);
+
+// キーの組み合わせの検証（errors / warnings にメッセージを追加）
+const crossChecks = [
+  (env, { error }) => {
+    if (env.EVENT_START_DATE && env.EVENT_END_DATE && Date.parse(env.EVENT_END_DATE) < Date.parse(env.EVENT_START_DATE)) {
+      error("EVENT_END_DATE", "is before EVENT_START_DATE");
+    }
+  },
+  (env, { warn }) => {
+    if (env.GA_ADS_CONVERSION_LABEL && !env.GA_ADS_ID) warn("GA_ADS_CONVERSION_LABEL", "is ignored without GA_ADS_ID");
+    if (env.YAHOO_CONVERSION_LABEL && !env.YAHOO_CONVERSION_ID) {
+      warn("YAHOO_CONVERSION_LABEL", "is ignored without YAHOO_CONVERSION_ID");
+    }
+  },
+  (env, { warn }) => {
+    const types = (env.STRUCTURED_DATA_TYPE || "").split(",");
+    if (types.includes("Event") && !env.EVENT_START_DATE) warn("EVENT_START_DATE", "is required for Event structured data");
+  },
+  (env, { warn }) => {
+    if (env.OG_IMAGE_GENERATE === "true" && !env.OG_URL) warn("OG_URL", "is required for an absolute og:image URL");
+  },
+];
+
+// 似ているキー（タイプミスの候補、lp.config.mjs の検証でも使う）
+export function suggestKey(key, candidates = CONFIG_KEYS) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+        prev = current;
+      }
+    }
+    return row[b.length];
+  };
+  const [best] = candidates.map((candidate) => ({ candidate, score: distance(key, candidate) })).sort(
+    (a, b) => a.score - b.score,
+  );
+  return best && best.score <= 3 ? best.candidate : null;
+}
+
+/**
+ * 設定を検証・正規化
+ *
+ * @param {object} env - 読み込んだ設定（lib/env.mjs の loadEnv() / ページ個別設定）
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - 一部のキーだけの設定か（ページ個別設定。組み合わせの検証をしない）
+ * @returns {{ env: object, errors: object[], warnings: object[], changes: object[] }}
+ *   env: 正規化した設定、errors / warnings: { key, value, message }、changes: { key, from, to }（正規化した値）
+ */
+export function validateConfig(env, { partial = false } = {}) {
+  const normalized = { ...env };
+  const errors = [];
+  const warnings = [];
+  const changes = [];
+  const error = (key, message) => errors.push({ key, value: normalized[key], message });
+  const warn = (key, message) => warnings.push({ key, value: normalized[key], message });
+
+  // スキーマの順に処理する（GA_ADS_CONVERSION_LABEL の正規化は正規化済みの GA_ADS_ID を参照する）
+  const keys = [...CONFIG_KEYS.filter((key) => key in env), ...Object.keys(env).filter((key) => !(key in CONFIG_SCHEMA))];
+  for (const key of keys) {
+    if (INTERNAL_KEYS.includes(key)) continue;
+    const rule = CONFIG_SCHEMA[key];
+    if (!rule) {
+      const suggestion = suggestKey(key);
+      warn(key, suggestion ? `is not a known setting (did you mean ${suggestion}?)` : "is not a known setting");
+      continue;
+    }
+
+    const value = (normalized[key] ?? "").trim();
+    if (!value) continue;
+    // 正規化しても正しい値にならない場合は、書かれた値のままエラーにする
+    const next = rule.normalize ? rule.normalize(value, normalized) : value;
+    const message = rule.check?.(next, normalized);
+    normalized[key] = message ? value : next;
+    if (message) error(key, message);
+  }
+
+  if (!partial) crossChecks.forEach((check) => check(normalized, { error, warn }));
+
+  // 正規化で変わった値（別のキーの正規化で値が入った GA_ADS_ID なども含む）
+  for (const [key, to] of Object.entries(normalized)) {
+    const from = env[key] ?? "";
+    if (to !== from) changes.push({ key, from, to });
+  }
+
+  return { env: normalized, errors, warnings, changes };
+}
+
+// 1件のメッセージを1行に整形
+export function formatIssue({ key, value, message }) {
+  return value ? `${key}=${value} ${message}` : `${key} ${message}`;
+}
@@ -0,0 +1,211 @@
+/**
+ * LP Template - クリティカルCSSの抽出
+ *
+ * ページをモバイル・デスクトップのビューポートで表示し、ファーストビューに入る要素に
+ * 当たるルールだけをインラインに残す。CSS全体は非同期で読み込む（<noscript> でフォールバック）
+ * - @font-face / @keyframes は常に残す
+ * - :hover などの状態・::before などの疑似要素は、元の要素がファーストビューにあれば残す
+ */
+
+import path from "node:path";
+import { serializeHtml } from "./dom.mjs";
+import { isRelativeUrl, resolveSrcPath, toPageUrl } from "./paths.mjs";
+import { openPage, ORIGIN, VIEWPORTS } from "./render.mjs";
+
+export const CRITICAL_CSS_DIR = "css";
+
+/**
+ * ブラウザ内で実行: ファーストビューで使うルールのキー（シート番号/ルール番号...）を返す
+ */
+function markCriticalRules() {
+  const dynamicPseudo = /::?(?:before|after|first-line|first-letter|placeholder|marker|selection|backdrop|hover|focus-visible|focus-within|focus|active|visited|link|target)\b/g;
+
+  // 非表示の要素は、表示されている祖先の位置で判定する
+  const isAboveFold = (el) => {
+    for (let node = el; node; node = node.parentElement) {
+      const rect = node.getBoundingClientRect();
+      if (rect.width > 0 || rect.height > 0) {
+        return rect.top < window.innerHeight && rect.bottom >= 0;
+      }
+    }
+    return false;
+  };
+
+  const matchesAboveFold = (selectorText) =>
+    selectorText.split(",").some((selector) => {
+      const stripped = selector.replace(dynamicPseudo, "").trim() || "*";
+      try {
+        return [...document.querySelectorAll(stripped)].some(isAboveFold);
+      } catch {
+        return true;
+      }
+    });
+
+  const keys = [];
+  const walk = (rules, prefix) => {
+    [...rules].forEach((rule, index) => {
+      const key = `${prefix}/${index}`;
+      if (rule instanceof CSSStyleRule) {
+        if (matchesAboveFold(rule.selectorText)) keys.push(key);
+      } else if (rule instanceof CSSMediaRule) {
+        if (window.matchMedia(rule.conditionText).matches) walk(rule.cssRules, key);
+      } else if (rule instanceof CSSSupportsRule) {
+        if (CSS.supports(rule.conditionText)) walk(rule.cssRules, key);
+      } else if (!(rule instanceof CSSImportRule)) {
+        keys.push(key);
+      }
+    });
+  };
+
+  [...document.styleSheets].forEach((sheet, index) => {
+    try {
+      walk(sheet.cssRules, String(index));
+    } catch {
+      // 読み込めないシート（外部ドメイン）は対象外
+    }
+  });
+
+  return keys;
+}
+
+/**
+ * ブラウザ内で実行: キーに含まれるルールだけのCSSを組み立てる
+ * （url() はシートの位置から解決した絶対URLにする）
+ */
+function serializeCriticalRules(keys) {
+  const critical = new Set(keys);
+  let baseUrl = document.baseURI;
+
+  const absolutizeUrls = (cssText) =>
+    cssText.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, url) =>
+      url.startsWith("data:") ? match : `url("${new URL(url, baseUrl).href}")`,
+    );
+
+  const serialize = (rules, prefix) =>
+    [...rules]
+      .map((rule, index) => {
+        const key = `${prefix}/${index}`;
+        if (rule instanceof CSSMediaRule || rule instanceof CSSSupportsRule) {
+          const inner = serialize(rule.cssRules, key);
+          const name = rule instanceof CSSMediaRule ? "media" : "supports";
+          return inner ? `@${name} ${rule.conditionText}{${inner}}` : "";
+        }
+        return critical.has(key) ? absolutizeUrls(rule.cssText) : "";
+      })
+      .join("");
+
+  return [...document.styleSheets]
+    .map((sheet, index) => {
+      try {
+        baseUrl = sheet.href || document.baseURI;
+        return serialize(sheet.cssRules, String(index));
+      } catch {
+        return "";
+      }
+    })
+    .join("");
+}
+
+// ページ名から非同期読み込み用のCSSファイル名を作る（thanks/index.html → css/thanks-index.css）
+function deferredCssPath(pagePath, index) {
+  const slug = pagePath.replace(/\.html$/i, "").replace(/\//g, "-");
+  return `${CRITICAL_CSS_DIR}/${slug}${index > 0 ? `-${index + 1}` : ""}.css`;
+}
+
+// CSS内の url() を置き換え
+function replaceCssUrls(css, replacer) {
+  return css.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, url) => {
+    const replaced = replacer(url.trim());
+    return replaced === null ? match : `url(${quote}${replaced}${quote})`;
+  });
+}
+
+// 非同期読み込みの <link>（JS無効時は <noscript> で通常読み込み）
+function asyncStylesheet(href, media) {
+  const mediaAttr = media ? ` media="${media}"` : "";
+  return (
+    `<link rel="preload" href="${href}" as="style"${mediaAttr} onload="this.onload=null;this.rel='stylesheet'">` +
+    `<noscript><link rel="stylesheet" href="${href}"${mediaAttr}></noscript>`
+  );
+}
+
+/**
+ * ページのCSSをクリティカルCSS（インライン）+ 非同期読み込みに置き換える
+ *
+ * @param {object} browser - lib/render.mjs の launchBrowser()
+ * @param {object} ctx - ページの変換コンテキスト（ctx.$ を書き換える）
+ * @param {object} options
+ * @param {object} options.output - ビルド出力先（インラインCSSの残りを書き出す）
+ * @param {string} [options.basePath] - BASE_PATH
+ * @returns {Promise<{ critical: number, total: number }>} クリティカルCSSとCSS全体のバイト数
+ */
+export async function inlineCriticalCss(browser, ctx, { output, basePath = "" }) {
+  const { $, pagePath, pageDir = "." } = ctx;
+  const html = serializeHtml($);
+
+  const keys = new Set();
+  let criticalCss = "";
+  for (const viewport of VIEWPORTS) {
+    const page = await openPage(browser, { html, pagePath, output, basePath, viewport });
+    try {
+      (await page.evaluate(markCriticalRules)).forEach((key) => keys.add(key));
+      if (viewport === VIEWPORTS[VIEWPORTS.length - 1]) {
+        criticalCss = await page.evaluate(serializeCriticalRules, [...keys]);
+      }
+    } finally {
+      await page.close();
+    }
+  }
+
+  // 出力先のURLはページからの参照に戻す
+  const pageOrigin = `${ORIGIN}${basePath}/`;
+  criticalCss = replaceCssUrls(criticalCss, (url) =>
+    url.startsWith(pageOrigin) ? toPageUrl(url.slice(pageOrigin.length), pageDir, basePath) : null,
+  );
+
+  // 全体のサイズ（インライン + 出力先のCSSファイル）
+  let total = 0;
+  const $styles = $("head style");
+  const $links = $('head link[rel="stylesheet"][href]').filter((i, el) => {
+    const href = $(el).attr("href");
+    return (href.startsWith(`${basePath}/`) && !href.startsWith("//")) || isRelativeUrl(href);
+  });
+
+  // クリティカルCSSは <head> の最初のCSSの位置に入れる
+  const $first = $styles.add($links).first();
+  const criticalStyle = `<style>${criticalCss}</style>`;
+  if ($first.length > 0) {
+    $first.before(criticalStyle);
+  } else {
+    $("head").append(criticalStyle);
+  }
+
+  // インラインの <style> は出力先にCSSファイルとして書き出し、非同期で読み込む
+  // （相対パスの url() は css/ から参照できるように書き換える）
+  const styles = $styles.toArray();
+  for (const [index, el] of styles.entries()) {
+    const filePath = deferredCssPath(pagePath, index);
+    const css = replaceCssUrls($(el).text(), (url) => {
+      if (!isRelativeUrl(url)) return null;
+      const srcPath = resolveSrcPath(url, pageDir);
+      return basePath ? `${basePath}/${srcPath}` : path.posix.relative(CRITICAL_CSS_DIR, srcPath);
+    });
+    await output.write(filePath, css);
+    total += Buffer.byteLength(css);
+    $(el).replaceWith(asyncStylesheet(toPageUrl(filePath, pageDir, basePath), $(el).attr("media")));
+  }
+
+  // <link rel="stylesheet"> は非同期読み込みに変更
+  for (const el of $links.toArray()) {
+    const href = $(el).attr("href");
+    const relPath = new URL(href, `${pageOrigin}${pagePath}`).pathname.slice(basePath.length + 1);
+    try {
+      total += (await output.read(relPath)).length;
+    } catch {
+      // 出力先に無いファイルはサイズに含めない
+    }
+    $(el).replaceWith(asyncStylesheet(href, $(el).attr("media")));
+  }
+
+  return { critical: Buffer.byteLength(criticalCss), total };
+}
@@ -0,0 +1,123 @@
+/**
+ * LP Template - CSSの背景画像の最適化
+ *
+ * background / background-image の url() を <img> と同じように書き換える
+ * - AVIF / WebP / 元画像の image-set()（image-set() 非対応のブラウザ向けに元の url() の宣言も残す）
+ * - BASE_PATH を適用
+ * - 画面幅ごとの画像（-sp など）は、そのメディアクエリの @media に同じセレクタで出力
+ *   （既存の @media があればそこに追加し、無ければ元のルールの直後に作る）
+ */
+
+import postcss from "postcss";
+import { resolveOutputPath } from "./manifest.mjs";
+import { toPageUrl } from "./paths.mjs";
+
+const urlPattern = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+const convertibleImage = /\.(png|jpe?g)$/i;
+
+function mimeType(srcPath) {
+  return /\.png$/i.test(srcPath) ? "image/png" : "image/jpeg";
+}
+
+// AVIF / WebP / 元画像の image-set()
+function imageSet(srcPath, toUrl) {
+  const base = toUrl(srcPath).replace(convertibleImage, "");
+  return (
+    `image-set(url(${base}.avif) type("image/avif"), url(${base}.webp) type("image/webp"), ` +
+    `url(${toUrl(srcPath)}) type("${mimeType(srcPath)}"))`
+  );
+}
+
+// url() を src/ からの相対パスに解決（BASE_PATH を付けずに書いたルート絶対パスも対象）
+function resolveImagePath(url, fromDir, basePath) {
+  const srcPath = resolveOutputPath(url, fromDir, basePath);
+  if (srcPath || !/^\/(?!\/)/.test(url)) return srcPath;
+  return url.split(/[?#]/)[0].slice(1);
+}
+
+// 元のルールより後ろにある、同じメディアクエリの @media（トップレベルのみ）
+function findMediaAfter(rule, media) {
+  const normalize = (value) => value.replace(/\s+/g, "").toLowerCase();
+  const nodes = rule.root().nodes;
+  return nodes
+    .slice(nodes.indexOf(rule) + 1)
+    .find((node) => node.type === "atrule" && node.name === "media" && normalize(node.params) === normalize(media));
+}
+
+/**
+ * CSSの背景画像を書き換え
+ *
+ * @param {string} css - 対象のCSS
+ * @param {object} [options]
+ * @param {string} [options.fromDir] - CSS（<style> の場合はページ）の src/ からの相対ディレクトリ
+ * @param {string} [options.basePath] - BASE_PATH（末尾スラッシュなし）
+ * @param {Map} [options.artDirection] - 画面幅ごとの画像（lib/art-direction.mjs の検出結果）
+ * @returns {{ css: string, count: number }} 書き換え後のCSSと書き換えた url() の数
+ */
+export function rewriteCssImages(css, { fromDir = ".", basePath = "", artDirection = new Map() } = {}) {
+  const root = postcss.parse(css);
+  const toUrl = (srcPath) => toPageUrl(srcPath, fromDir, basePath);
+  // ルールごとに作った @media（メディアクエリ → 追加先のルール）
+  const mediaRules = new Map();
+  let count = 0;
+
+  // 追加した宣言を再び書き換えないよう、先に対象を集める
+  const decls = [];
+  root.walkDecls(/^background(-image)?$/i, (decl) => decls.push(decl));
+
+  for (const decl of decls) {
+    // 手書きの image-set() はそのまま
+    if (/image-set\(/i.test(decl.value)) continue;
+
+    const images = [];
+    const original = decl.value;
+    const replaceImages = (replace) =>
+      original.replace(urlPattern, (match, quote, url) => {
+        const srcPath = resolveImagePath(url.trim(), fromDir, basePath);
+        if (!srcPath || !convertibleImage.test(srcPath)) return match;
+        return replace(srcPath);
+      });
+
+    const fallback = replaceImages((srcPath) => {
+      images.push(srcPath);
+      return `url(${toUrl(srcPath)})`;
+    });
+    if (images.length === 0) continue;
+    count += images.length;
+
+    decl.cloneBefore({ value: fallback });
+    decl.value = replaceImages((srcPath) => imageSet(srcPath, toUrl));
+
+    // 画面幅ごとの画像（@media 内のルールは対象外）
+    const rule = decl.parent;
+    if (rule.type !== "rule" || rule.parent.type !== "root") continue;
+
+    const medias = new Set(
+      images.flatMap((srcPath) => (artDirection.get(srcPath)?.variants || []).map((variant) => variant.media)),
+    );
+    for (const media of medias) {
+      const variantOf = (srcPath) =>
+        artDirection.get(srcPath)?.variants.find((variant) => variant.media === media)?.srcPath || srcPath;
+
+      if (!mediaRules.has(rule)) mediaRules.set(rule, new Map());
+      const targets = mediaRules.get(rule);
+      if (!targets.has(media)) {
+        const target = postcss.rule({ selector: rule.selector });
+        const existing = findMediaAfter(rule, media);
+        if (existing) {
+          existing.append(target);
+        } else {
+          // 後から追加したものが元のルールの直後に来る（範囲の狭いメディアクエリが後ろになり優先される）
+          rule.after(postcss.atRule({ name: "media", params: media, nodes: [target] }));
+        }
+        targets.set(media, target);
+      }
+      targets.get(media).append(
+        { prop: decl.prop, value: replaceImages((srcPath) => `url(${toUrl(variantOf(srcPath))})`) },
+        { prop: decl.prop, value: replaceImages((srcPath) => imageSet(variantOf(srcPath), toUrl)) },
+      );
+    }
+  }
+
+  return { css: count > 0 ? root.toString() : css, count };
+}
@@ -0,0 +1,48 @@
+/**
+ * LP Template - DOMベースのHTML変換
+ *
+ * HTMLを一度だけパースし、変換（transform）を順番に適用して一度だけシリアライズする
+ *
+ * transform は (ctx) => void | Promise<void> の関数
+ * ctx.$ にパース済みのドキュメント（cheerio）が入る
+ */
+
+import * as cheerio from "cheerio";
+
+// HTMLをパース
+export function parseHtml(html) {
+  return cheerio.load(html);
+}
+
+// HTMLの断片をパース（<html>/<body> を補完しない）
+export function parseFragment(html) {
+  return cheerio.load(html, null, false);
+}
+
+// HTMLを文字列に戻す
+export function serializeHtml($) {
+  return $.html();
+}
+
+// 変換を順番に適用
+export async function runTransforms(ctx, transforms) {
+  for (const transform of transforms) {
+    await transform(ctx);
+  }
+  return ctx;
+}
+
+// コメントノードを検索
+export function findComments($, pattern) {
+  return $.root()
+    .find("*")
+    .addBack()
+    .contents()
+    .filter((i, node) => node.type === "comment" && pattern.test(node.data));
+}
+
+// <head> 末尾にHTMLを追加（パース時に <head> は必ず補完される）
+export function appendToHead($, html) {
+  if (!html) return;
+  $("head").append(`${html}\n`);
+}
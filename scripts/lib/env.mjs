@@ -0,0 +1,124 @@
+/**
+ * LP Template - 環境変数（.env）の読み込み
+ *
+ * ビルドのモード（production / staging）ごとに、次の順で読み込む（後ろほど優先）
+ *   .env → .env.local → .env.<mode> → .env.<mode>.local → process.env
+ *
+ * staging では
+ * - NOINDEX=true（検索エンジンに登録させない、.env.staging で false にすれば無効）
+ * - 広告タグのID（GA4 / Google Ads / Meta Pixel など）は .env / .env.local の値を使わない
+ *   （.env.staging・process.env で検証用のIDを指定した場合のみ出力）
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { CONFIG_KEYS } from "./config.mjs";
+
+export const MODES = ["production", "staging"];
+export const DEFAULT_MODE = "production";
+
+// 広告タグのID（staging では本番の値を引き継がない）
+export const AD_TAG_KEYS = [
+  "GA_MEASUREMENT_ID",
+  "GA_ADS_ID",
+  "GA_ADS_CONVERSION_LABEL",
+  "META_PIXEL_ID",
+  "LINE_TAG_ID",
+  "YAHOO_RETARGETING_ID",
+  "YAHOO_CONVERSION_ID",
+  "YAHOO_CONVERSION_LABEL",
+  "CLARITY_PROJECT_ID",
+];
+
+// KEY=VALUE 形式の行をパース（.env / ページ個別設定で共用）
+export function parseEnvLines(content) {
+  const env = {};
+  content.split("\n").forEach((line) => {
+    const trimmed = line.trim();
+    if (trimmed && !trimmed.startsWith("#")) {
+      const [key, ...valueParts] = trimmed.split("=");
+      env[key.trim()] = valueParts.join("=").trim();
+    }
+  });
+  return env;
+}
+
+/**
+ * コマンドライン引数からモードを取り出す（--mode staging / --mode=staging）
+ *
+ * 指定が無ければ Vercel のプレビューデプロイ（VERCEL_ENV=preview）は staging、それ以外は production
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ mode: string, args: string[] }} args: --mode を除いた引数
+ */
+export function parseModeArgs(argv, processEnv = process.env) {
+  const args = [];
+  let mode = null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--mode") {
+      mode = argv[++i];
+    } else if (argv[i].startsWith("--mode=")) {
+      mode = argv[i].slice("--mode=".length);
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { mode: mode || defaultMode(processEnv), args };
+}
+
+function defaultMode(processEnv) {
+  return processEnv.VERCEL_ENV === "preview" ? "staging" : DEFAULT_MODE;
+}
+
+async function readEnvFile(filePath) {
+  try {
+    return parseEnvLines(await fs.readFile(filePath, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * プロジェクト直下の .env 群を読み込む（無ければ空）
+ *
+ * @param {string} projectRoot
+ * @param {object} [options]
+ * @param {string} [options.mode] - production / staging（既定: VERCEL_ENV から判定）
+ * @param {object} [options.processEnv] - 最優先で上書きする環境変数（既定: process.env）
+ * @returns {Promise<object>} MODE にモードを含む
+ */
+export async function loadEnv(projectRoot, { mode = defaultMode(process.env), processEnv = process.env } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown mode: ${mode} (${MODES.join(" / ")})`);
+  }
+
+  const base = {};
+  const modeSpecific = {};
+  const loaded = [];
+  for (const [name, target] of [
+    [".env", base],
+    [".env.local", base],
+    [`.env.${mode}`, modeSpecific],
+    [`.env.${mode}.local`, modeSpecific],
+  ]) {
+    const values = await readEnvFile(path.resolve(projectRoot, name));
+    if (values) {
+      Object.assign(target, values);
+      loaded.push(name);
+    }
+  }
+  if (loaded.length === 0) {
+    console.log("Note: .env file not found, using defaults");
+  }
+
+  // process.env は設定のキー（lib/config.mjs）だけを取り込む（PATH などは無視）
+  const overrides = Object.fromEntries(Object.entries(processEnv).filter(([key]) => CONFIG_KEYS.includes(key)));
+
+  // staging: 本番の広告タグIDを外し、noindex を既定にする
+  if (mode === "staging") {
+    AD_TAG_KEYS.forEach((key) => delete base[key]);
+    base.NOINDEX = "true";
+  }
+
+  return { ...base, ...modeSpecific, ...overrides, MODE: mode };
+}
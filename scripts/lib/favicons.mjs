@@ -0,0 +1,231 @@
+/**
+ * LP Template - favicon生成
+ *
+ * FAVICON_SRC（既定: images/favicon.png）から以下を出力先のルートに生成する
+ * - favicon.ico（16 / 32 / 48px を含むマルチサイズICO）
+ * - favicon-16x16.png / favicon-32x32.png / apple-touch-icon.png（180px）
+ * - android-chrome-192x192.png / android-chrome-512x512.png（site.webmanifest の icons）
+ *   ※ ICO・site.webmanifest のサイズは lp.config.mjs の favicon で変更できる
+ * - site.webmanifest（name / theme_color / background_color / icons）
+ * - favicon.svg / favicon-dark.svg（FAVICON_SVG / FAVICON_SVG_DARK を指定した場合のみ）
+ * 元画像・設定が前回と同じなら、ビルドキャッシュ（lib/build-cache.mjs）の画像を使う
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import { DEFAULT_PROJECT_CONFIG } from "./project-config.mjs";
+import { hashInputs } from "./build-cache.mjs";
+
+export const DEFAULT_FAVICON_SRC = "images/favicon.png";
+export const WEB_MANIFEST = "site.webmanifest";
+
+const PNG_ICONS = [
+  { size: 16, name: "favicon-16x16.png" },
+  { size: 32, name: "favicon-32x32.png" },
+];
+const APPLE_TOUCH_ICON = { size: 180, name: "apple-touch-icon.png" };
+
+// site.webmanifest のアイコン
+function manifestIcons(sizes) {
+  return sizes.map((size) => ({ size, name: `android-chrome-${size}x${size}.png` }));
+}
+
+// src/ からの相対パスに正規化（先頭の / と src/ を除く）
+function normalizeSrcPath(value) {
+  return value.trim().replace(/^\/+/, "").replace(/^src\//, "");
+}
+
+/**
+ * faviconの元画像（src/ からの相対パス）
+ *
+ * @returns {{ png: string, svg: string|null, darkSvg: string|null }}
+ */
+export function getFaviconSources(env) {
+  return {
+    png: normalizeSrcPath(env.FAVICON_SRC || DEFAULT_FAVICON_SRC),
+    svg: env.FAVICON_SVG ? normalizeSrcPath(env.FAVICON_SVG) : null,
+    darkSvg: env.FAVICON_SVG_DARK ? normalizeSrcPath(env.FAVICON_SVG_DARK) : null,
+  };
+}
+
+// faviconの元画像の一覧（アセットの参照関係で使用中とみなす）
+export function listFaviconSources(env) {
+  return Object.values(getFaviconSources(env)).filter(Boolean);
+}
+
+/**
+ * PNG画像からICOファイルを作る（PNG形式のエントリ、Windows Vista以降・全ブラウザ対応）
+ *
+ * @param {{ size: number, buffer: Buffer }[]} images - 正方形のPNG（256px以下）
+ * @returns {Buffer}
+ */
+export function encodeIco(images) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(0, 0); // 予約
+  header.writeUInt16LE(1, 2); // 種類（1: アイコン）
+  header.writeUInt16LE(images.length, 4);
+
+  const entries = [];
+  let offset = header.length + images.length * 16;
+  for (const { size, buffer } of images) {
+    const entry = Buffer.alloc(16);
+    entry.writeUInt8(size >= 256 ? 0 : size, 0); // 幅（0 = 256px）
+    entry.writeUInt8(size >= 256 ? 0 : size, 1); // 高さ
+    entry.writeUInt8(0, 2); // パレット数
+    entry.writeUInt8(0, 3); // 予約
+    entry.writeUInt16LE(1, 4); // カラープレーン
+    entry.writeUInt16LE(32, 6); // ビット深度
+    entry.writeUInt32LE(buffer.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    entries.push(entry);
+    offset += buffer.length;
+  }
+
+  return Buffer.concat([header, ...entries, ...images.map(({ buffer }) => buffer)]);
+}
+
+// 正方形にリサイズ（縦横比が違う画像は透明の余白を付ける）
+function resizeIcon(input, size) {
+  return sharp(input)
+    .resize(size, size, { fit: "contain", background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * site.webmanifest を生成
+ *
+ * @param {object} env - 環境変数
+ * @param {string} prefix - BASE_PATH（末尾スラッシュなし）
+ * @param {number[]} [sizes] - アイコンのサイズ（lp.config.mjs の favicon.manifestSizes）
+ */
+export function generateWebManifest(env, prefix = "", sizes = DEFAULT_PROJECT_CONFIG.favicon.manifestSizes) {
+  const name = env.OG_SITE_NAME || env.SITE_TITLE || "";
+  const manifest = {
+    name,
+    short_name: name,
+    start_url: `${prefix}/`,
+    scope: `${prefix}/`,
+    display: "standalone",
+    background_color: env.BACKGROUND_COLOR || "#ffffff",
+    icons: manifestIcons(sizes).map(({ size, name: file }) => ({
+      src: `${prefix}/${file}`,
+      sizes: `${size}x${size}`,
+      type: "image/png",
+    })),
+  };
+  if (env.THEME_COLOR) manifest.theme_color = env.THEME_COLOR;
+  return JSON.stringify(manifest, null, 2);
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// PNG・ICO・site.webmanifest を生成（出力先のパス → 内容）
+async function renderFavicons(input, env, basePath, { icoSizes, manifestSizes }) {
+  const files = new Map();
+
+  // ICO（既定: 16 / 32 / 48px）
+  const icoImages = [];
+  for (const size of icoSizes) {
+    icoImages.push({ size, buffer: await resizeIcon(input, size) });
+  }
+  files.set("favicon.ico", encodeIco(icoImages));
+
+  for (const { size, name } of [...PNG_ICONS, ...manifestIcons(manifestSizes)]) {
+    files.set(name, await resizeIcon(input, size));
+  }
+
+  // apple-touch-icon（iOSは透明部分が黒になるため背景色で塗る）
+  const appleTouchIcon = await sharp(await resizeIcon(input, APPLE_TOUCH_ICON.size))
+    .flatten({ background: env.BACKGROUND_COLOR || "#ffffff" })
+    .png()
+    .toBuffer();
+  files.set(APPLE_TOUCH_ICON.name, appleTouchIcon);
+
+  files.set(WEB_MANIFEST, generateWebManifest(env, basePath, manifestSizes));
+  return files;
+}
+
+/**
+ * faviconを生成
+ *
+ * @param {string} srcDir - src/
+ * @param {object} output - lib/output.mjs の出力先
+ * @param {object} env - 環境変数
+ * @param {string} basePath - BASE_PATH（末尾スラッシュなし）
+ * @param {object} [sizes] - lp.config.mjs の favicon（icoSizes / manifestSizes）
+ * @param {object} [cache] - lib/build-cache.mjs のキャッシュ（省略時は毎回生成）
+ * @returns {Promise<{ svg: boolean, darkSvg: boolean, cached: boolean }|null>}
+ *   生成したfavicon（元画像が無ければ null）、cached: キャッシュを使ったか
+ */
+export async function generateFavicons(
+  srcDir,
+  output,
+  env,
+  basePath = "",
+  sizes = DEFAULT_PROJECT_CONFIG.favicon,
+  cache = null,
+) {
+  const { manifestSizes } = sizes;
+  const sources = getFaviconSources(env);
+  const pngPath = path.join(srcDir, sources.png);
+
+  if (!(await exists(pngPath))) {
+    if (env.FAVICON_SRC) {
+      console.warn(`⚠ Favicon source not found: src/${sources.png}`);
+    } else {
+      console.log(`  ${path.posix.basename(sources.png)} not found, skipping favicon generation`);
+    }
+    return null;
+  }
+
+  const input = await fs.readFile(pngPath);
+  const { width, height } = await sharp(input).metadata();
+  const largest = Math.max(APPLE_TOUCH_ICON.size, ...manifestSizes);
+  if (Math.min(width, height) < largest) {
+    console.warn(`⚠ Favicon source is smaller than ${largest}px (${width}x${height}), icons will be upscaled`);
+  }
+
+  // 元画像・サイズ・site.webmanifest の値が前回と同じなら、リサイズせずにキャッシュを使う
+  const cacheKey = hashInputs(
+    input,
+    sizes,
+    basePath,
+    ["OG_SITE_NAME", "SITE_TITLE", "BACKGROUND_COLOR", "THEME_COLOR"].map((name) => env[name]),
+    sharp.versions.vips,
+  );
+  const entry = await cache?.get("favicons", cacheKey);
+  const files = entry?.files || (await renderFavicons(input, env, basePath, sizes));
+  if (cache && !entry) await cache.set("favicons", cacheKey, { files });
+  for (const [name, content] of files) {
+    await output.write(name, content);
+  }
+
+  // SVG（任意、ダークモード用は通常のSVGがある場合のみ）
+  const generated = { svg: false, darkSvg: false, cached: Boolean(entry) };
+  for (const [key, name] of [
+    ["svg", "favicon.svg"],
+    ["darkSvg", "favicon-dark.svg"],
+  ]) {
+    if (!sources[key]) continue;
+    const svgPath = path.join(srcDir, sources[key]);
+    if (!(await exists(svgPath))) {
+      console.warn(`⚠ Favicon source not found: src/${sources[key]}`);
+    } else if (key === "darkSvg" && !generated.svg) {
+      console.warn("⚠ FAVICON_SVG_DARK is ignored without FAVICON_SVG");
+    } else {
+      await output.write(name, await fs.readFile(svgPath));
+      generated[key] = true;
+    }
+  }
+
+  return generated;
+}
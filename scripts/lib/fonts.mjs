@@ -0,0 +1,200 @@
+/**
+ * LP Template - Webフォントのセルフホスト（サブセット化）
+ *
+ * Google Fonts の読み込みをビルド時にローカルのwoff2に置き換える
+ * - ビルドした全ページで使われている文字だけにサブセット化
+ * - ウェイトごとに fonts/<family>-<weight>.woff2 を出力
+ * - 文字・ウェイトが前回と同じなら、ビルドキャッシュ（lib/build-cache.mjs）のwoff2を使う
+ *
+ * フォントの元データは npm パッケージ（@expo-google-fonts/*）のTTFを使う
+ */
+
+import { createRequire } from "node:module";
+import fs from "node:fs/promises";
+import crypto from "node:crypto";
+import subsetFont from "subset-font";
+import { toPageUrl } from "./paths.mjs";
+
+const require = createRequire(import.meta.url);
+
+export const FONTS_DIR = "fonts";
+
+// ウェイト → @expo-google-fonts のファイル名
+const weightNames = {
+  100: "Thin",
+  200: "ExtraLight",
+  300: "Light",
+  400: "Regular",
+  500: "Medium",
+  600: "SemiBold",
+  700: "Bold",
+  800: "ExtraBold",
+  900: "Black",
+};
+
+// セルフホストできるフォント（Google Fonts のファミリー名 → 元データ）
+const localFonts = {
+  "Noto Sans JP": {
+    slug: "noto-sans-jp",
+    source: (weight) =>
+      `@expo-google-fonts/noto-sans-jp/${weight}${weightNames[weight]}/NotoSansJP_${weight}${weightNames[weight]}.ttf`,
+  },
+};
+
+// 動的に表示される英数字・記号のため、ASCIIは常に含める
+const BASE_TEXT = Array.from({ length: 0x7f - 0x20 }, (_, i) => String.fromCharCode(0x20 + i)).join("");
+
+// セルフホストできるファミリーか判定
+export function isLocalFont(family) {
+  return family in localFonts;
+}
+
+/**
+ * Google Fonts のURLからファミリーとウェイトを取得
+ * css2?family=Noto+Sans+JP:wght@400;700&display=swap / css?family=Noto+Sans+JP:400,700 に対応
+ *
+ * @returns {{ families: { family: string, weights: number[] }[], display: string } | null}
+ */
+export function parseGoogleFontsUrl(href) {
+  let url;
+  try {
+    url = new URL(href, "https://fonts.googleapis.com/");
+  } catch {
+    return null;
+  }
+  if (url.hostname !== "fonts.googleapis.com") return null;
+
+  const families = url.searchParams.getAll("family").flatMap((value) =>
+    value.split("|").map((spec) => {
+      const [family, axes = ""] = spec.split(":");
+      // css2: wght@400;700 / ital,wght@0,400;1,700（イタリックは対象外）
+      const [names, values = ""] = axes.includes("@") ? axes.split("@") : ["wght", axes.replace(/,/g, ";")];
+      const axisNames = names.split(",");
+      const weightIndex = axisNames.indexOf("wght");
+      const italIndex = axisNames.indexOf("ital");
+      const weights = values
+        .split(";")
+        .filter(Boolean)
+        .map((tuple) => tuple.split(","))
+        .filter((tuple) => italIndex < 0 || tuple[italIndex] === "0")
+        .map((tuple) => Number(weightIndex < 0 ? 400 : tuple[weightIndex]))
+        .filter((weight) => weight in weightNames);
+      return { family: family.trim(), weights: weights.length > 0 ? [...new Set(weights)] : [400] };
+    }),
+  );
+
+  return { families, display: url.searchParams.get("display") || "swap" };
+}
+
+// 全ページのファミリー・ウェイトをまとめる
+export function mergeFontRequests(requests) {
+  const merged = new Map();
+  for (const { family, weights } of requests) {
+    merged.set(family, new Set([...(merged.get(family) || []), ...weights]));
+  }
+  return [...merged].map(([family, weights]) => ({ family, weights: [...weights].sort((a, b) => a - b) }));
+}
+
+// ページ内で表示される文字を取得（本文・placeholder・value・CSSの content）
+export function collectText($) {
+  const $body = $("body").clone();
+  $body.find("script, style, template").remove();
+
+  const attributes = $("[placeholder], input[value]")
+    .map((i, el) => `${$(el).attr("placeholder") || ""}${$(el).attr("value") || ""}`)
+    .get()
+    .join("");
+
+  const styles = $("style")
+    .map((i, el) => $(el).text())
+    .get()
+    .join("\n");
+
+  return $body.text() + attributes + collectCssContent(styles);
+}
+
+// CSSの content プロパティ内の文字列を取得（::before / ::after の記号など）
+export function collectCssContent(css) {
+  return [...css.matchAll(/content\s*:\s*(["'])((?:\\.|(?!\1).)*)\1/g)].map((match) => match[2]).join("");
+}
+
+// 文字列の重複を除いて並べる（サブセットのキャッシュキーを安定させる）
+function uniqueChars(text) {
+  return [...new Set(BASE_TEXT + text.replace(/\s/g, ""))].sort().join("");
+}
+
+// ファミリーのウェイトごとの出力パス
+export function fontFilePath(family, weight) {
+  return `${FONTS_DIR}/${localFonts[family].slug}-${weight}.woff2`;
+}
+
+/**
+ * フォントをサブセット化して出力
+ *
+ * @param {{ family: string, weights: number[] }[]} requests - セルフホストするファミリーとウェイト
+ * @param {string} text - 使われている文字
+ * @param {object} output - ビルド出力先（lib/output.mjs）
+ * @param {object} [options]
+ * @param {object} [options.previous] - 前回の結果（文字・ウェイトが同じで出力先に残っていれば再生成しない）
+ * @param {object} [options.cache] - lib/build-cache.mjs のキャッシュ
+ * @returns {Promise<{ key: string, files: { family: string, weight: number, path: string, size: number }[], cached: boolean }>}
+ */
+export async function subsetFonts(requests, text, output, { previous = null, cache = null } = {}) {
+  const chars = uniqueChars(text);
+  const key = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(requests) + chars)
+    .digest("hex");
+
+  if (
+    previous &&
+    previous.key === key &&
+    (await Promise.all(previous.files.map((file) => exists(output, file.path)))).every(Boolean)
+  ) {
+    return { ...previous, cached: true };
+  }
+
+  const entry = await cache?.get("fonts", key);
+  if (entry) {
+    for (const [filePath, woff2] of entry.files) {
+      await output.write(filePath, woff2);
+    }
+    return { key, files: entry.data, cached: true };
+  }
+
+  const files = [];
+  const contents = new Map();
+  for (const { family, weights } of requests) {
+    for (const weight of weights) {
+      const ttf = await fs.readFile(require.resolve(localFonts[family].source(weight)));
+      const woff2 = await subsetFont(ttf, chars, { targetFormat: "woff2" });
+      const filePath = fontFilePath(family, weight);
+      await output.write(filePath, woff2);
+      contents.set(filePath, woff2);
+      files.push({ family, weight, path: filePath, size: woff2.length });
+    }
+  }
+
+  await cache?.set("fonts", key, { data: files, files: contents });
+  return { key, files, cached: false };
+}
+
+async function exists(output, relPath) {
+  try {
+    await output.read(relPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// @font-face ルールを生成（URLは BASE_PATH 未指定ならページからの相対パス）
+export function generateFontFaceCss(files, { display = "swap", basePath = "", pageDir = "." } = {}) {
+  return files
+    .map(
+      ({ family, weight, path }) =>
+        `@font-face{font-family:"${family}";font-style:normal;font-weight:${weight};font-display:${display};` +
+        `src:url("${toPageUrl(path, pageDir, basePath)}") format("woff2")}`,
+    )
+    .join("\n");
+}
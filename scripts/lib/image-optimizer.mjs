@@ -0,0 +1,186 @@
+/**
+ * LP Template - 画像最適化
+ *
+ * src/ の画像を出力先に書き出す（src/ のファイルは変更しない）
+ * - 最大幅（既定1920px）にリサイズ、JPGは再圧縮（元より大きくなる場合は元のまま）
+ * - 最大幅・画質は lp.config.mjs の images で変更できる（lib/project-config.mjs）
+ * - AVIF/WebP形式に変換
+ * - srcset 用に幅ごとのAVIF/WebPを生成（name-640w.avif など）
+ * - 変換結果は画像の内容のハッシュで .cache/images/ に保存し、変更の無い画像は変換しない
+ *   （一定期間使われていない変換結果はビルドが削除する、lib/build-cache.mjs の pruneCacheDir()）
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import { toPosixPath } from "./paths.mjs";
+import { DEFAULT_PROJECT_CONFIG } from "./project-config.mjs";
+import { touchCacheEntry } from "./build-cache.mjs";
+
+export const DEFAULT_WIDTHS = [160, 320, 640, 960, 1280, 1920];
+
+// 変換する画像（PNG/JPG）
+export function isOptimizableImage(file) {
+  return /\.(png|jpe?g)$/i.test(file);
+}
+
+/**
+ * IMAGE_WIDTHS をパース（カンマ区切り、空なら既定値）
+ *
+ * @returns {number[]} 昇順の幅
+ */
+export function parseWidths(value) {
+  if (!value) return DEFAULT_WIDTHS;
+  const widths = value
+    .split(",")
+    .map((w) => parseInt(w, 10))
+    .filter((w) => w > 0);
+  return widths.length > 0 ? [...new Set(widths)].sort((a, b) => a - b) : DEFAULT_WIDTHS;
+}
+
+/**
+ * 画像1枚を変換
+ *
+ * @param {Buffer} input - 元画像
+ * @param {string} ext - 元画像の拡張子（.jpg / .png）
+ * @param {number[]} widths - srcset 用の幅
+ * @param {object} [settings] - lp.config.mjs の images（maxWidth / quality）
+ * @returns {Promise<{ width: number, height: number, files: Map<string, Buffer> }>}
+ *   files: 元画像のファイル名（拡張子なし）に付けるサフィックス（".jpg", ".avif", "-640w.webp" など）→ 内容
+ */
+export async function optimizeImage(input, ext, widths = DEFAULT_WIDTHS, settings = DEFAULT_PROJECT_CONFIG.images) {
+  const { maxWidth, quality } = settings;
+  let image = sharp(input);
+  const metadata = await image.metadata();
+  const resized = metadata.width > maxWidth;
+  if (resized) {
+    image = image.resize(maxWidth, null, { withoutEnlargement: true, fit: "inside" });
+  }
+
+  const files = new Map();
+
+  // 元画像（JPG: 再圧縮、PNG: リサイズ時のみロスレスで書き出し）
+  if (/\.jpe?g$/i.test(ext)) {
+    const compressed = await image.clone().jpeg({ quality: quality.jpeg }).toBuffer();
+    files.set(ext, resized || compressed.length < input.length ? compressed : input);
+  } else {
+    files.set(ext, resized ? await image.clone().png().toBuffer() : input);
+  }
+
+  files.set(".avif", await image.clone().avif({ quality: quality.avif }).toBuffer());
+  files.set(".webp", await image.clone().webp({ quality: quality.webp }).toBuffer());
+
+  // 幅ごとのAVIF/WebP（出力する画像より小さい幅のみ）
+  const width = Math.min(metadata.width, maxWidth);
+  for (const w of widths.filter((w) => w < width)) {
+    const scaled = image.clone().resize(w, null, { withoutEnlargement: true });
+    files.set(`-${w}w.avif`, await scaled.clone().avif({ quality: quality.avif }).toBuffer());
+    files.set(`-${w}w.webp`, await scaled.clone().webp({ quality: quality.webp }).toBuffer());
+  }
+
+  const height = resized ? Math.round((metadata.height * maxWidth) / metadata.width) : metadata.height;
+  return { width, height, files };
+}
+
+// キャッシュのキー（画像の内容 + 変換設定）
+function cacheKey(input, ext, widths, { maxWidth, quality }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ ext: ext.toLowerCase(), widths, maxWidth, quality, vips: sharp.versions.vips }))
+    .update(input)
+    .digest("hex");
+}
+
+async function readCache(cacheDir, key) {
+  try {
+    const entryDir = path.join(cacheDir, key);
+    const meta = JSON.parse(await fs.readFile(path.join(entryDir, "meta.json"), "utf-8"));
+    const files = new Map();
+    for (const [suffix, name] of Object.entries(meta.files)) {
+      files.set(suffix, await fs.readFile(path.join(entryDir, name)));
+    }
+    await touchCacheEntry(entryDir);
+    return { width: meta.width, height: meta.height, files };
+  } catch {
+    return null;
+  }
+}
+
+async function writeCache(cacheDir, key, result) {
+  const entryDir = path.join(cacheDir, key);
+  await fs.mkdir(entryDir, { recursive: true });
+  const files = {};
+  for (const [suffix, buffer] of result.files) {
+    const name = `image${suffix}`;
+    await fs.writeFile(path.join(entryDir, name), buffer);
+    files[suffix] = name;
+  }
+  await fs.writeFile(
+    path.join(entryDir, "meta.json"),
+    JSON.stringify({ width: result.width, height: result.height, files }, null, 2),
+  );
+}
+
+/**
+ * 画像を最適化して出力先に書き出す（出力先でも同じ相対パス）
+ *
+ * @param {string} dir - 画像の基準ディレクトリ（src/）
+ * @param {string[]} files - 対象の画像（dir からの相対パス、PNG/JPG 以外は無視）
+ * @param {object} output - lib/output.mjs の出力先
+ * @param {object} options
+ * @param {string} options.projectRoot - dimensions のキーの基準
+ * @param {string} options.cacheDir - 変換結果のキャッシュ（.cache/images/）
+ * @param {number[]} [options.widths] - srcset 用の幅
+ * @param {number} [options.maxWidth] - 最大幅（lp.config.mjs の images.maxWidth）
+ * @param {object} [options.quality] - 画質（lp.config.mjs の images.quality）
+ * @returns {Promise<{ dimensions: object, optimized: string[], cached: number, written: Set<string> }>}
+ *   dimensions: プロジェクトからの相対パス（"src/images/hero.jpg"）→ 出力した画像の { width, height }
+ *   optimized: 最適化した画像、written: 書き出したファイル（AVIF/WebP・幅ごとの画像を含む）
+ */
+export async function optimizeImages(
+  dir,
+  files,
+  output,
+  {
+    projectRoot,
+    cacheDir,
+    widths = DEFAULT_WIDTHS,
+    maxWidth = DEFAULT_PROJECT_CONFIG.images.maxWidth,
+    quality = DEFAULT_PROJECT_CONFIG.images.quality,
+  },
+) {
+  const settings = { maxWidth, quality };
+  const written = new Set();
+  const dimensions = {};
+  const optimized = [];
+  let cached = 0;
+
+  for (const file of files.filter((f) => isOptimizableImage(f))) {
+    const fullPath = path.join(dir, file);
+    const ext = path.posix.extname(file);
+    const stem = file.slice(0, -ext.length);
+    try {
+      const input = await fs.readFile(fullPath);
+      const key = cacheKey(input, ext, widths, settings);
+      let result = await readCache(cacheDir, key);
+      if (result) {
+        cached++;
+      } else {
+        result = await optimizeImage(input, ext, widths, settings);
+        await writeCache(cacheDir, key, result);
+      }
+
+      for (const [suffix, buffer] of result.files) {
+        await output.write(stem + suffix, buffer);
+        written.add(stem + suffix);
+      }
+      dimensions[toPosixPath(path.relative(projectRoot, fullPath))] = { width: result.width, height: result.height };
+      optimized.push(file);
+    } catch (error) {
+      console.error(`✗ Image optimization failed (${file}):`, error.message);
+    }
+  }
+
+  return { dimensions, optimized, cached, written };
+}
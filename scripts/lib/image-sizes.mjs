@@ -0,0 +1,103 @@
+/**
+ * LP Template - 画像の表示サイズの計測
+ *
+ * ページを複数のビューポート幅で表示して各 <img> の表示幅を測り、
+ * sizes 属性と srcset に必要な最大幅を求める
+ * - SP（〜767px）とPC（768px〜）それぞれ2つの幅で測り、ビューポートに対する比率（vw）か固定幅（px）かを判定
+ * - SP/PCの境目は lp.config.mjs の breakpoint（<picture> のSP出し分けと同じ）
+ */
+
+import { openPage } from "./render.mjs";
+import { DEFAULT_PROJECT_CONFIG } from "./project-config.mjs";
+
+// 計測するビューポート幅（SP: 375px と境目、PC: 1280px と 1920px）
+function sampleWidths(breakpoint) {
+  return [375, breakpoint, 1280, 1920];
+}
+
+/**
+ * ブラウザ内で実行: 画像の表示幅を src ごとに返す（同じ画像が複数あれば大きい方）
+ */
+async function measureRenderedWidths() {
+  const images = [...document.images];
+  // lazy loading の画像もレイアウトを確定させるために読み込む
+  await Promise.all(
+    images.map((img) => {
+      img.loading = "eager";
+      return img.decode().catch(() => {});
+    }),
+  );
+
+  const widths = {};
+  for (const img of images) {
+    const src = img.getAttribute("src");
+    widths[src] = Math.max(widths[src] || 0, img.getBoundingClientRect().width);
+  }
+  return widths;
+}
+
+/**
+ * ページ内の画像の表示幅を計測
+ *
+ * @param {object} browser - lib/render.mjs の launchBrowser()
+ * @param {object} options - openPage() に渡す html / pagePath / output（ページが参照するファイルの読み込み元）
+ * @param {number} [options.breakpoint] - SP/PCの境目（px）
+ * @returns {Promise<Map<string, { viewport: number, width: number }[]>>} 画像の src（記述どおり）→ 計測結果
+ */
+export async function measureImageWidths(browser, { breakpoint = DEFAULT_PROJECT_CONFIG.breakpoint, ...options }) {
+  const samples = new Map();
+
+  for (const viewportWidth of sampleWidths(breakpoint)) {
+    const page = await openPage(browser, { ...options, viewport: { width: viewportWidth, height: 900 } });
+    try {
+      const widths = await page.evaluate(measureRenderedWidths);
+      for (const [src, width] of Object.entries(widths)) {
+        if (!samples.has(src)) samples.set(src, []);
+        samples.get(src).push({ viewport: viewportWidth, width });
+      }
+    } finally {
+      await page.close();
+    }
+  }
+
+  return samples;
+}
+
+// 2点の計測結果から、ビューポートに対する幅の式を作る（固定幅 / vw / calc）
+function widthExpression([a, b]) {
+  if (!b || Math.abs(a.width - b.width) < 1) {
+    return `${Math.max(1, Math.round(a.width))}px`;
+  }
+
+  const slope = (b.width - a.width) / (b.viewport - a.viewport);
+  const offset = Math.round(a.width - slope * a.viewport);
+  const vw = Math.round(slope * 100);
+  if (Math.abs(offset) < 2) return `${vw}vw`;
+  return `calc(${vw}vw ${offset < 0 ? "-" : "+"} ${Math.abs(offset)}px)`;
+}
+
+/**
+ * 計測結果から sizes 属性と最大表示幅を求める
+ *
+ * 幅0の計測結果（display:none などで表示されていないビューポート）は使わない
+ * SP/PCの片方でしか表示されない画像は、表示される方の幅だけで sizes を作る
+ *
+ * @param {{ viewport: number, width: number }[]} samples
+ * @param {number} [breakpoint] - SP/PCの境目（px、計測時と同じ値）
+ * @returns {{ sizes: string, maxWidth: number }|null} どのビューポートでも表示されていなければ null
+ */
+export function inferSizes(samples, breakpoint = DEFAULT_PROJECT_CONFIG.breakpoint) {
+  const sorted = samples.filter((s) => s.width >= 1).sort((a, b) => a.viewport - b.viewport);
+  if (sorted.length === 0) return null;
+
+  const spSamples = sorted.filter((s) => s.viewport <= breakpoint);
+  const pcSamples = sorted.filter((s) => s.viewport > breakpoint);
+  const sp = spSamples.length > 0 ? widthExpression(spSamples) : null;
+  const pc = pcSamples.length > 0 ? widthExpression(pcSamples) : null;
+  const maxWidth = Math.ceil(Math.max(...sorted.map((s) => s.width)));
+
+  return {
+    sizes: !sp || !pc || sp === pc ? pc || sp : `(max-width: ${breakpoint}px) ${sp}, ${pc}`,
+    maxWidth,
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * LP Template - HTMLインクルード
+ *
+ * <!-- @include partials/footer.html label="無料相談" cv="cta-click" --> を
+ * パーシャルの内容に展開する（ビルド・devサーバー共通）
+ *
+ * - パスは src/ からの相対パス
+ * - パーシャル内の {{ name }} は属性で渡した値に置換（値はそのまま挿入）
+ * - {{ root }} はページから src/ 直下への相対パス（"" / "../" など）
+ * - パーシャルから別のパーシャルをインクルード可能（循環参照はエラー）
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { toPosixPath } from "./paths.mjs";
+
+// パーシャル置き場（ページとしてはビルドしない）
+export const PARTIALS_DIR = "partials";
+
+const includeRegex = /<!--\s*@include\s+(\S+)((?:\s+[\w-]+=(?:"[^"]*"|'[^']*'))*)\s*-->/g;
+const attrRegex = /([\w-]+)=(?:"([^"]*)"|'([^']*)')/g;
+const variableRegex = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// インクルードの属性を変数オブジェクトに変換
+function parseVariables(attrs) {
+  const vars = {};
+  for (const [, name, doubleQuoted, singleQuoted] of attrs.matchAll(attrRegex)) {
+    vars[name] = doubleQuoted ?? singleQuoted;
+  }
+  return vars;
+}
+
+// {{ name }} を変数で置換（未定義の変数は空文字）
+function applyVariables(content, vars) {
+  return content.replace(variableRegex, (match, name) => vars[name] ?? "");
+}
+
+/**
+ * HTML内のインクルードを再帰的に展開
+ *
+ * @param {string} html
+ * @param {object} options
+ * @param {string} options.srcDir - src/ の絶対パス
+ * @param {string} [options.pagePath] - ページの src/ からの相対パス（エラー表示と {{ root }} に使用）
+ * @param {string[]} [options.stack] - 展開中のパーシャル（循環検出用）
+ * @returns {Promise<string>}
+ */
+export async function resolveIncludes(html, { srcDir, pagePath = "index.html", stack = [] }) {
+  const pageDir = path.posix.dirname(pagePath);
+  const root = pageDir === "." ? "" : `${path.posix.relative(pageDir, ".")}/`;
+
+  const matches = [...html.matchAll(includeRegex)];
+  if (matches.length === 0) return html;
+
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of matches) {
+    const [directive, includePath, attrs] = match;
+    const partialPath = path.posix.normalize(includePath.replace(/^\//, ""));
+    const from = stack[stack.length - 1] || pagePath;
+
+    if (stack.includes(partialPath)) {
+      throw new Error(`Circular include: ${[...stack, partialPath].join(" → ")}`);
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(path.join(srcDir, partialPath), "utf-8");
+    } catch {
+      throw new Error(`Include not found: ${includePath} (in ${from})`);
+    }
+
+    const vars = { ...parseVariables(attrs), root };
+    content = applyVariables(content, vars);
+    content = await resolveIncludes(content, { srcDir, pagePath, stack: [...stack, partialPath] });
+
+    parts.push(html.slice(lastIndex, match.index), content.trim());
+    lastIndex = match.index + directive.length;
+  }
+
+  parts.push(html.slice(lastIndex));
+  return parts.join("");
+}
+
+/**
+ * src/ 配下のHTMLページを検出（サブディレクトリ含む、src/ からの相対パスで返す）
+ * partials/ はインクルード用のためページとして扱わない
+ */
+export async function findHtmlPages(dir, base = dir) {
+  const pages = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (dir === base && entry.name === PARTIALS_DIR) continue;
+      pages.push(...(await findHtmlPages(fullPath, base)));
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith(".html")) {
+      pages.push(toPosixPath(path.relative(base, fullPath)));
+    }
+  }
+
+  return pages.sort();
+}
@@ -0,0 +1,20 @@
+/**
+ * LP Template - ライブラリの公開API
+ *
+ * scripts/ のコマンド（build / dev / inject-*）はここから読み込んで呼び出すだけの薄いラッパー
+ * 別のスクリプトからビルドする場合も同じ関数を使う
+ *
+ *   import { build } from "./scripts/lib/index.mjs";
+ *   await build({ mode: "staging" });
+ */
+
+export { build, BUILD_PHASES } from "./build.mjs";
+export { loadBuildConfig } from "./build-config.mjs";
+export { defineConfig } from "./project-config.mjs";
+export { PLUGIN_HOOKS } from "./plugins.mjs";
+export { injectMeta, injectAnalytics, injectConversion, findSharedScript, buildDir } from "./inject.mjs";
+export { loadEnv, parseModeArgs, MODES } from "./env.mjs";
+export { createDiskOutput, createMemoryOutput } from "./output.mjs";
+export { escapeHtml, generateMetaTags } from "./transforms/meta.mjs";
+export { generateAnalyticsTags } from "./transforms/analytics.mjs";
+export { generateConversionCode } from "./transforms/conversion.mjs";
@@ -0,0 +1,110 @@
+/**
+ * LP Template - ビルド後の個別注入
+ *
+ * ビルド済みのファイルに、ビルドと同じ変換（lib/transforms/）で OGP/metaタグ・広告タグ・CV追跡コードを入れ直す
+ * - 設定の読み込み・検証はビルドと同じ（lib/build-config.mjs）
+ * - 注入済みのタグ・追跡コードは置き換える（何度実行しても重複しない）
+ * ※ src/ は変更しない（呼び出し側で build/ のファイルを指定する）
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { minify as minifyHtml } from "html-minifier-terser";
+import { minify as minifyJs } from "terser";
+import { loadBuildConfig, getPageEnv } from "./build-config.mjs";
+import { resolvePageConfig } from "./project-config.mjs";
+import { parseHtml, serializeHtml, runTransforms } from "./dom.mjs";
+import { updateTitle, injectMetaTags } from "./transforms/meta.mjs";
+import { removeAnalyticsTags, injectAnalyticsTags } from "./transforms/analytics.mjs";
+import { generateConversionCode, CONVERSION_MARKER } from "./transforms/conversion.mjs";
+import { toPosixPath } from "./paths.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, "..", "..");
+export const buildDir = path.resolve(projectRoot, "build");
+
+// build/ からの相対パス（build/ の外のファイルはファイル名）
+function toPagePath(targetPath) {
+  const relPath = toPosixPath(path.relative(buildDir, path.resolve(targetPath)));
+  return relPath.startsWith("..") ? path.basename(targetPath) : relPath;
+}
+
+// ビルド済みのページに変換を適用して書き戻す（ページごとの設定・minify もビルドと同じ）
+async function transformPage(targetPath, transforms, { mode }) {
+  const { env, config } = await loadBuildConfig(projectRoot, { mode });
+  const pagePath = toPagePath(targetPath);
+  const $ = parseHtml(await fs.readFile(targetPath, "utf-8"));
+  const ctx = await runTransforms(
+    { $, pagePath, env: getPageEnv(env, pagePath, $), config: resolvePageConfig(config, pagePath) },
+    transforms,
+  );
+  await fs.writeFile(targetPath, await minifyHtml(serializeHtml($), ctx.config.minify.html));
+  return ctx;
+}
+
+/**
+ * タイトル・OGP/metaタグを注入（同じ name/property のタグは置き換える）
+ *
+ * @param {string} targetPath - ビルド済みのHTML
+ * @param {object} [options]
+ * @param {string} [options.mode] - production / staging
+ */
+export async function injectMeta(targetPath, { mode } = {}) {
+  await transformPage(targetPath, [updateTitle, injectMetaTags], { mode });
+}
+
+/**
+ * 広告タグを注入（注入済みの広告タグは置き換える）
+ *
+ * @param {string} targetPath - ビルド済みのHTML
+ * @param {object} [options]
+ * @param {string} [options.mode] - production / staging（staging では .env の広告タグIDを使わない）
+ * @returns {Promise<object>} 注入に使った設定（ctx.env）
+ */
+export async function injectAnalytics(targetPath, { mode } = {}) {
+  const { env } = await transformPage(targetPath, [removeAnalyticsTags, injectAnalyticsTags], { mode });
+  return env;
+}
+
+// ビルド済みの共通スクリプト（build/manifest.json があればハッシュ付きのファイル名）
+export async function findSharedScript() {
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(buildDir, "manifest.json"), "utf-8"));
+    if (manifest["script.min.js"]) return path.join(buildDir, manifest["script.min.js"]);
+  } catch {
+    // manifest.json が無い場合はハッシュなしのファイル名
+  }
+  return path.join(buildDir, "script.min.js");
+}
+
+/**
+ * CV追跡コードをスクリプトの末尾に注入（ビルドで追加した追跡コードは置き換える）
+ *
+ * @param {string} targetPath - ビルド済みのJS
+ * @param {object} [options]
+ * @param {string} [options.mode] - production / staging
+ * @returns {Promise<{ replaced: boolean }>} replaced: 注入済みの追跡コードを置き換えたか
+ */
+export async function injectConversion(targetPath, { mode } = {}) {
+  const { env, config } = await loadBuildConfig(projectRoot, { mode });
+  let js = await fs.readFile(targetPath, "utf-8");
+
+  // 目印からファイル末尾までが注入済みの追跡コード（minify で前の式と , で繋がっていれば , も除く）
+  const markerIndex = js.indexOf(CONVERSION_MARKER);
+  if (markerIndex >= 0) {
+    js = js.slice(0, markerIndex).replace(/[,;]\s*$/, "");
+  } else if (js.includes("[data-cv]")) {
+    throw new Error("Conversion code without marker found (minify.js removed comments?), rebuild with npm run build");
+  }
+  js = js.replace(/\/\/\s*__CONVERSION_CODE_PLACEHOLDER__/g, "");
+
+  // 追跡コードはES5で生成しているため、トランスパイルせずに minify だけ行う
+  const { code } = await minifyJs(`${CONVERSION_MARKER}\n${generateConversionCode(env, config.conversion)}`, config.minify.js);
+  // 元のスクリプトの末尾にセミコロンが無くても、続けて実行されるようにする
+  const head = js.trimEnd();
+  const separator = head && !head.endsWith(";") ? ";" : "";
+  await fs.writeFile(targetPath, `${head}${separator}\n${code}`);
+  return { replaced: markerIndex >= 0 };
+}
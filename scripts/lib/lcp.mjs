@@ -0,0 +1,67 @@
+/**
+ * LP Template - LCP画像・ファーストビューの画像の検出
+ *
+ * ページをモバイル・デスクトップで表示し、ビューポートごとに
+ * - LCP（Largest Contentful Paint）の要素が画像ならその画像
+ * - ファーストビューに表示される画像
+ * を求める（fetchpriority / preload / lazy loading の判定に使う）
+ */
+
+import { openPage, VIEWPORTS } from "./render.mjs";
+
+/**
+ * ブラウザ内で実行: LCPの画像とファーストビューの画像の src（記述どおり）を返す
+ */
+async function inspectViewport() {
+  const lcpElement = await new Promise((resolve) => {
+    let last = null;
+    new PerformanceObserver((list) => {
+      const entries = list.getEntries();
+      last = entries[entries.length - 1].element;
+    }).observe({ type: "largest-contentful-paint", buffered: true });
+    setTimeout(() => resolve(last), 100);
+  });
+
+  const visible = [...document.images].filter((img) => {
+    const rect = img.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && rect.top < window.innerHeight && rect.bottom > 0;
+  });
+
+  // LCPが取れない場合は、ファーストビューで最も面積の大きい画像
+  let lcp = lcpElement instanceof HTMLImageElement ? lcpElement : null;
+  if (!lcpElement && visible.length > 0) {
+    const area = (img) => img.getBoundingClientRect().width * img.getBoundingClientRect().height;
+    lcp = visible.reduce((largest, img) => (area(img) > area(largest) ? img : largest));
+  }
+
+  return {
+    lcp: lcp ? lcp.getAttribute("src") : null,
+    visible: visible.map((img) => img.getAttribute("src")),
+  };
+}
+
+/**
+ * ページのLCP画像とファーストビューの画像を検出
+ *
+ * @param {object} browser - lib/render.mjs の launchBrowser()
+ * @param {object} options - openPage() に渡す html / pagePath / output
+ * @returns {Promise<{ lcp: Map<string, string>, aboveFold: Set<string> }>}
+ *   lcp: ビューポート名（mobile / desktop）→ LCP画像の src、aboveFold: ファーストビューの画像の src
+ */
+export async function findPriorityImages(browser, options) {
+  const lcp = new Map();
+  const aboveFold = new Set();
+
+  for (const viewport of VIEWPORTS) {
+    const page = await openPage(browser, { ...options, viewport });
+    try {
+      const result = await page.evaluate(inspectViewport);
+      if (result.lcp) lcp.set(viewport.name, result.lcp);
+      result.visible.forEach((src) => aboveFold.add(src));
+    } finally {
+      await page.close();
+    }
+  }
+
+  return { lcp, aboveFold };
+}
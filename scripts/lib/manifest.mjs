@@ -0,0 +1,141 @@
+/**
+ * LP Template - アセットのフィンガープリント（コンテンツハッシュ付きファイル名）
+ *
+ * 出力したCSS/JS/画像/フォントを style.3f9a1c2b.min.css のようにリネームし、
+ * ハッシュ前のパス → ハッシュ付きパスの対応表（manifest）を返す
+ * ※ .htaccess で1年キャッシュ（immutable）するため、内容が変わればURLも変わるようにする
+ */
+
+import path from "node:path";
+import crypto from "node:crypto";
+import { isRelativeUrl, resolveSrcPath } from "./paths.mjs";
+
+const HASH_LENGTH = 8;
+
+// ハッシュ対象の拡張子（.htaccess で immutable キャッシュされるもの）
+const fingerprintExtensions = [
+  ".css", ".js", ".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif", ".svg", ".ico", ".woff", ".woff2",
+];
+
+// ブラウザが固定パスで取得するファイルは除外
+const fixedNames = ["favicon.ico", "apple-touch-icon.png"];
+
+// 内容のハッシュを計算
+export function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex").slice(0, HASH_LENGTH);
+}
+
+// ハッシュ付きのファイル名に変換（style.min.css → style.<hash>.min.css, hero.avif → hero.<hash>.avif）
+export function hashedName(relPath, hash) {
+  const ext = path.posix.extname(relPath);
+  const withoutExt = relPath.slice(0, -ext.length);
+  const min = withoutExt.endsWith(".min") ? ".min" : "";
+  return `${withoutExt.slice(0, withoutExt.length - min.length)}.${hash}${min}${ext}`;
+}
+
+// ハッシュ対象か判定
+function isFingerprintable(relPath) {
+  const ext = path.posix.extname(relPath).toLowerCase();
+  return fingerprintExtensions.includes(ext) && !fixedNames.includes(relPath);
+}
+
+/**
+ * URLを build/ 基準のパスに解決（ローカル以外は null）
+ *
+ * @param {string} url - 参照URL（相対 / ルート絶対 / BASE_PATH付き）
+ * @param {string} fromDir - 参照元（ページ・CSS）の build/ からの相対ディレクトリ
+ * @param {string} basePath - BASE_PATH（末尾スラッシュなし）
+ */
+export function resolveOutputPath(url, fromDir, basePath = "") {
+  const pathname = url.split(/[?#]/)[0];
+  if (!pathname) return null;
+  if (basePath && pathname.startsWith(`${basePath}/`)) {
+    return pathname.slice(basePath.length + 1);
+  }
+  if (pathname.startsWith("/") && !pathname.startsWith("//")) {
+    return basePath ? null : pathname.slice(1);
+  }
+  return isRelativeUrl(pathname) ? resolveSrcPath(pathname, fromDir) : null;
+}
+
+// URLをハッシュ付きのファイル名に置き換え（manifest に無ければそのまま）
+export function rewriteUrl(url, fromDir, manifest, basePath = "") {
+  const outputPath = resolveOutputPath(url, fromDir, basePath);
+  const hashed = outputPath && manifest[outputPath];
+  if (!hashed) return url;
+  return url.replace(/[^/?#]+(?=([?#].*)?$)/, path.posix.basename(hashed));
+}
+
+// srcset 内の各URLを置き換え
+export function rewriteSrcset(srcset, fromDir, manifest, basePath = "") {
+  return srcset
+    .split(",")
+    .map((candidate) => {
+      const [url, ...descriptors] = candidate.trim().split(/\s+/);
+      return [rewriteUrl(url, fromDir, manifest, basePath), ...descriptors].join(" ");
+    })
+    .join(", ");
+}
+
+// Webアプリマニフェストの icons / screenshots の src を置き換え
+export function rewriteWebManifestUrls(json, fromDir, manifest, basePath = "") {
+  const webManifest = JSON.parse(json);
+  for (const key of ["icons", "screenshots"]) {
+    for (const image of webManifest[key] || []) {
+      if (image.src) image.src = rewriteUrl(image.src, fromDir, manifest, basePath);
+    }
+  }
+  return JSON.stringify(webManifest);
+}
+
+// CSS内の url() を置き換え
+export function rewriteCssUrls(css, fromDir, manifest, basePath = "") {
+  return css.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, url) => {
+    const rewritten = rewriteUrl(url.trim(), fromDir, manifest, basePath);
+    return rewritten === url.trim() ? match : `url(${quote}${rewritten}${quote})`;
+  });
+}
+
+/**
+ * 出力先のアセットをハッシュ付きファイル名にリネーム
+ *
+ * CSSが参照する画像・フォントを先にハッシュし、CSS内の url() を書き換えてからCSSをハッシュする
+ * Webアプリマニフェスト（*.webmanifest）はリネームせず、アイコンのURLだけ書き換える
+ *
+ * @param {object} output - ビルド出力先（lib/output.mjs）
+ * @returns {Promise<Record<string, string>>} manifest（ハッシュ前のパス → ハッシュ付きパス）
+ */
+export async function fingerprintAssets(output, basePath = "") {
+  const manifest = {};
+  const files = (await output.list()).filter(isFingerprintable);
+  const stylesheets = files.filter((file) => file.endsWith(".css"));
+  const others = files.filter((file) => !file.endsWith(".css"));
+
+  const fingerprint = async (relPath, content) => {
+    const hashed = hashedName(relPath, hashContent(content));
+    await output.write(hashed, content);
+    await output.remove(relPath);
+    manifest[relPath] = hashed;
+  };
+
+  for (const relPath of others) {
+    await fingerprint(relPath, await output.read(relPath));
+  }
+
+  for (const relPath of stylesheets) {
+    const css = (await output.read(relPath)).toString("utf-8");
+    await fingerprint(relPath, rewriteCssUrls(css, path.posix.dirname(relPath), manifest, basePath));
+  }
+
+  // Webアプリマニフェスト（ファイル名は固定のまま、アイコンのURLだけ置き換え）
+  for (const relPath of (await output.list()).filter((file) => file.endsWith(".webmanifest"))) {
+    const json = (await output.read(relPath)).toString("utf-8");
+    try {
+      await output.write(relPath, rewriteWebManifestUrls(json, path.posix.dirname(relPath), manifest, basePath));
+    } catch (error) {
+      console.warn(`⚠ Web manifest not rewritten (${relPath}): ${error.message}`);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(manifest).sort(([a], [b]) => a.localeCompare(b)));
+}
@@ -0,0 +1,192 @@
+/**
+ * LP Template - OGP画像の生成
+ *
+ * ページのタイトル・サイト名・ロゴ・ブランドカラーから 1200x630 のOGP画像を作る
+ * - 背景: SVGテンプレート（既定は背景色 + 下端のアクセントカラーの帯、OG_IMAGE_TEMPLATE で差し替え可）
+ * - 文字: Noto Sans JP（@expo-google-fonts のTTF）で描画するため、サーバーのフォントに依存しない
+ * - ロゴ: 左上に配置（PNG/JPG/SVG）
+ */
+
+import { createRequire } from "node:module";
+import fs from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+
+const require = createRequire(import.meta.url);
+
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+export const OG_IMAGE_DIR = "og";
+export const DEFAULT_LOGO = "images/sawada-logo.png";
+
+const PADDING = 80;
+const LOGO_MAX = { width: 360, height: 80 };
+const SITE_NAME_SIZE = 28;
+// タイトルが収まらない場合は小さくする
+const TITLE_SIZES = [64, 56, 48, 40];
+
+const fontFiles = {
+  regular: require.resolve("@expo-google-fonts/noto-sans-jp/400Regular/NotoSansJP_400Regular.ttf"),
+  bold: require.resolve("@expo-google-fonts/noto-sans-jp/700Bold/NotoSansJP_700Bold.ttf"),
+};
+
+// 既定のテンプレート（{{background}} / {{accent}} / {{text}} を色に置き換える）
+const DEFAULT_TEMPLATE = `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}">
+  <rect width="100%" height="100%" fill="{{background}}"/>
+  <rect y="${OG_IMAGE_HEIGHT - 16}" width="100%" height="16" fill="{{accent}}"/>
+</svg>`;
+
+// ページのOGP画像の出力先（index.html → og/index.png、thanks/index.html → og/thanks/index.png）
+export function ogImagePath(pagePath) {
+  return path.posix.join(OG_IMAGE_DIR, pagePath.replace(/\.html$/, ".png"));
+}
+
+// Pangoマークアップのエスケープ
+function escapeMarkup(str) {
+  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// 背景色に対して読みやすい文字色（#rgb / #rrggbb 以外は黒）
+function contrastColor(color) {
+  const hex = color.replace(/^#/, "");
+  const full = hex.length === 3 ? [...hex].map((c) => c + c).join("") : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) return "#222222";
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? "#222222" : "#ffffff";
+}
+
+// 文字を透明背景のPNGとして描画
+async function renderText(text, { size, bold = false, color, width, alpha = 100 }) {
+  const { data, info } = await sharp({
+    text: {
+      text: `<span foreground="${color}" fgalpha="${alpha}%">${escapeMarkup(text)}</span>`,
+      font: `Noto Sans JP ${bold ? "Bold" : "Regular"} ${size}`,
+      fontfile: bold ? fontFiles.bold : fontFiles.regular,
+      width,
+      wrap: "word-char",
+      spacing: Math.round(size * 0.3),
+      rgba: true,
+    },
+  })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  return { input: data, width: info.width, height: info.height };
+}
+
+/**
+ * OGP画像の色（.env から）
+ *
+ * OG_IMAGE_BACKGROUND（既定: BACKGROUND_COLOR → #ffffff）/ THEME_COLOR（アクセント）/ OG_IMAGE_TEXT_COLOR（既定: 背景色から自動）
+ */
+export function getOgImageColors(env) {
+  const background = env.OG_IMAGE_BACKGROUND || env.BACKGROUND_COLOR || "#ffffff";
+  return {
+    background,
+    accent: env.THEME_COLOR || "#333333",
+    text: env.OG_IMAGE_TEXT_COLOR || contrastColor(background),
+  };
+}
+
+/**
+ * OGP画像を描画
+ *
+ * @param {object} options
+ * @param {string} options.title - タイトル（中央に大きく表示、長い場合は折り返し・縮小）
+ * @param {string} [options.siteName] - サイト名（左下）
+ * @param {Buffer} [options.logo] - ロゴ画像（左上）
+ * @param {{ background: string, accent: string, text: string }} options.colors
+ * @param {string} [options.template] - 背景のSVG（1200x630）
+ * @returns {Promise<Buffer>} PNG
+ */
+export async function renderOgImage({ title, siteName = "", logo = null, colors, template = DEFAULT_TEMPLATE }) {
+  const svg = template.replace(/\{\{(background|accent|text)\}\}/g, (match, key) => colors[key]);
+  const layers = [];
+  const contentWidth = OG_IMAGE_WIDTH - PADDING * 2;
+
+  // ロゴ（左上）
+  let top = PADDING;
+  if (logo) {
+    const { data, info } = await sharp(logo)
+      .resize(LOGO_MAX.width, LOGO_MAX.height, { fit: "inside" })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    layers.push({ input: data, left: PADDING, top });
+    top += info.height + 40;
+  }
+
+  // サイト名（左下）
+  let bottom = OG_IMAGE_HEIGHT - PADDING;
+  if (siteName) {
+    const name = await renderText(siteName, { size: SITE_NAME_SIZE, color: colors.text, width: contentWidth, alpha: 70 });
+    bottom -= name.height;
+    layers.push({ input: name.input, left: PADDING, top: bottom });
+    bottom -= 24;
+  }
+
+  // タイトル（ロゴとサイト名の間の中央、収まる大きさまで縮小）
+  if (title) {
+    let rendered;
+    for (const size of TITLE_SIZES) {
+      rendered = await renderText(title, { size, bold: true, color: colors.text, width: contentWidth });
+      if (rendered.height <= bottom - top) break;
+    }
+    const titleTop = Math.max(top, Math.round(top + (bottom - top - rendered.height) / 2));
+    // 縮小しても収まらない場合は下を切る
+    const height = Math.min(rendered.height, OG_IMAGE_HEIGHT - titleTop);
+    const input =
+      height < rendered.height
+        ? await sharp(rendered.input).extract({ left: 0, top: 0, width: rendered.width, height }).toBuffer()
+        : rendered.input;
+    layers.push({ input, left: PADDING, top: titleTop });
+  }
+
+  return sharp(Buffer.from(svg))
+    .resize(OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT, { fit: "cover" })
+    .composite(layers)
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * ページのOGP画像を生成して出力先に書き出す
+ *
+ * @param {string} srcDir - src/
+ * @param {object} output - lib/output.mjs の出力先
+ * @param {object} options
+ * @param {string} options.pagePath - ページ（src/ からの相対パス）
+ * @param {object} options.env - ページ用の環境変数（SITE_TITLE / OG_SITE_NAME / OG_IMAGE_LOGO / 色）
+ * @returns {Promise<string>} 出力したOGP画像のパス（出力先からの相対パス）
+ */
+export async function generateOgImage(srcDir, output, { pagePath, env }) {
+  const logoPath = (env.OG_IMAGE_LOGO || DEFAULT_LOGO).replace(/^\/+/, "").replace(/^src\//, "");
+  const logo = await readOptional(path.join(srcDir, logoPath));
+  if (!logo && env.OG_IMAGE_LOGO) {
+    console.warn(`⚠ OG image logo not found: src/${logoPath}`);
+  }
+
+  let template;
+  if (env.OG_IMAGE_TEMPLATE) {
+    const templatePath = env.OG_IMAGE_TEMPLATE.replace(/^\/+/, "").replace(/^src\//, "");
+    template = (await readOptional(path.join(srcDir, templatePath)))?.toString("utf-8");
+    if (!template) console.warn(`⚠ OG image template not found: src/${templatePath}`);
+  }
+
+  const image = await renderOgImage({
+    title: env.SITE_TITLE || "",
+    siteName: env.OG_SITE_NAME && env.OG_SITE_NAME !== env.SITE_TITLE ? env.OG_SITE_NAME : "",
+    logo,
+    colors: getOgImageColors(env),
+    template,
+  });
+  const relPath = ogImagePath(pagePath);
+  await output.write(relPath, image);
+  return relPath;
+}
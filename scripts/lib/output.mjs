@@ -0,0 +1,149 @@
+/**
+ * LP Template - ビルド出力先
+ *
+ * ビルドは出力先を直接触らず、このインターフェース経由で書き込む
+ * - createDiskOutput: build/ などのディレクトリに書き込む（npm run build）
+ * - createMemoryOutput: メモリ上に保持する（devサーバー）
+ *
+ * パスはすべて出力先からの相対パス（/ 区切り）
+ *
+ * ディレクトリの出力先は clear() から commit() までメモリ上に保持し、commit() で内容が変わったファイルだけ書き込む
+ * （前回のビルドから変わらないファイルは書き換えず、ビルドが途中で失敗しても前回の出力が残る）
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { toPosixPath } from "./paths.mjs";
+
+// ディレクトリ内のファイルを列挙
+async function listFiles(dir, base = dir) {
+  const files = [];
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(fullPath, base)));
+    } else if (entry.isFile()) {
+      files.push(toPosixPath(path.relative(base, fullPath)));
+    }
+  }
+  return files;
+}
+
+// 空になったディレクトリを削除（dir 自体は残す）
+async function removeEmptyDirs(dir, isRoot = true) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory()) await removeEmptyDirs(path.join(dir, entry.name), false);
+  }
+  if (!isRoot && (await fs.readdir(dir)).length === 0) await fs.rmdir(dir);
+}
+
+// ディレクトリに書き込む出力先
+export function createDiskOutput(dir) {
+  const resolve = (relPath) => path.join(dir, relPath);
+  // clear() から commit() までの出力（commit() でディレクトリに反映する）
+  let staged = null;
+
+  return {
+    dir,
+    async write(relPath, data) {
+      if (staged) return staged.write(relPath, data);
+      await fs.mkdir(path.dirname(resolve(relPath)), { recursive: true });
+      await fs.writeFile(resolve(relPath), data);
+    },
+    async read(relPath) {
+      if (staged) return staged.read(relPath);
+      return fs.readFile(resolve(relPath));
+    },
+    async remove(relPath) {
+      if (staged) return staged.remove(relPath);
+      await fs.rm(resolve(relPath), { force: true });
+    },
+    async list() {
+      if (staged) return staged.list();
+      return listFiles(dir);
+    },
+    // 空の出力から書き始める（ディレクトリのファイルは commit() まで残す）
+    async clear() {
+      staged = createMemoryOutput();
+    },
+    /**
+     * clear() 以降の出力をディレクトリに反映（内容が同じファイルは書き込まず、出力しなかったファイルは削除）
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.clean] - ディレクトリを削除してからすべて書き込む
+     * @returns {Promise<{ written: number, unchanged: number, removed: number }|null>} clear() していなければ null
+     */
+    async commit({ clean = false } = {}) {
+      if (!staged) return null;
+      const { files } = staged;
+      staged = null;
+
+      if (clean) await fs.rm(dir, { recursive: true, force: true });
+      await fs.mkdir(dir, { recursive: true });
+      const stats = { written: 0, unchanged: 0, removed: 0 };
+      for (const relPath of await listFiles(dir)) {
+        if (files.has(relPath)) continue;
+        await fs.rm(resolve(relPath), { force: true });
+        stats.removed++;
+      }
+      await removeEmptyDirs(dir);
+
+      for (const [relPath, data] of files) {
+        const current = await fs.readFile(resolve(relPath)).catch(() => null);
+        if (current && current.equals(data)) {
+          stats.unchanged++;
+          continue;
+        }
+        await fs.mkdir(path.dirname(resolve(relPath)), { recursive: true });
+        await fs.writeFile(resolve(relPath), data);
+        stats.written++;
+      }
+      return stats;
+    },
+  };
+}
+
+// メモリ上に保持する出力先
+export function createMemoryOutput() {
+  const files = new Map();
+
+  return {
+    files,
+    async write(relPath, data) {
+      files.set(relPath, Buffer.isBuffer(data) ? data : Buffer.from(data));
+    },
+    async read(relPath) {
+      if (!files.has(relPath)) {
+        const error = new Error(`File not found: ${relPath}`);
+        error.code = "ENOENT";
+        throw error;
+      }
+      return files.get(relPath);
+    },
+    async remove(relPath) {
+      files.delete(relPath);
+    },
+    async list() {
+      return [...files.keys()];
+    },
+    async clear() {
+      files.clear();
+    },
+    // 書き込み済みのため何もしない（ディレクトリの出力先と同じインターフェース）
+    async commit() {
+      return null;
+    },
+  };
+}
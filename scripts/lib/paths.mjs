@@ -0,0 +1,28 @@
+/**
+ * LP Template - パス解決ユーティリティ
+ *
+ * ページ内のURLと src/ 基準のパスの相互変換（BASE_PATH対応）
+ */
+
+import path from "node:path";
+
+// ローカルの相対パスか判定（絶対パス・外部URL・data URIなどは対象外）
+export function isRelativeUrl(url) {
+  return !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url);
+}
+
+// ページ内の相対パスを src/ からの相対パスに解決
+export function resolveSrcPath(url, pageDir) {
+  return path.posix.normalize(path.posix.join(pageDir, url));
+}
+
+// src/ からの相対パスを、ページから参照するURLに変換（BASE_PATH対応）
+export function toPageUrl(srcPath, pageDir, basePath = "") {
+  if (basePath) return `${basePath}/${srcPath}`;
+  return path.posix.relative(pageDir, srcPath) || srcPath;
+}
+
+// OSのパス区切りを / に統一
+export function toPosixPath(filePath) {
+  return filePath.split(path.sep).join("/");
+}
@@ -0,0 +1,102 @@
+/**
+ * LP Template - 画像のプレースホルダー（ぼかし画像・代表色）
+ *
+ * lazy loading の画像が読み込まれるまで、縮小してぼかした画像か代表色を背景に表示する
+ * - 読み込み後は小さなランタイム（PLACEHOLDER_RUNTIME）が背景を外す（透過PNGの裏に残らないように）
+ * - IMAGE_PLACEHOLDER=blur（既定）/ color / false
+ */
+
+import sharp from "sharp";
+
+// プレースホルダー画像の長辺（px）
+const PLACEHOLDER_SIZE = 16;
+
+// プレースホルダーを付けた <img> の目印（値は追加したプロパティ、ランタイムが読み込み後に外す）
+export const PLACEHOLDER_ATTR = "data-placeholder";
+
+// 読み込み完了で背景を外すランタイム（<head> にインラインで入れ、以降の load を拾う）
+// 外すのはプレースホルダーで追加したプロパティだけ（style に書かれた他の指定は残す）
+export const PLACEHOLDER_RUNTIME = `
+(function() {
+  document.addEventListener('load', function(e) {
+    var img = e.target;
+    if (img.hasAttribute && img.hasAttribute('${PLACEHOLDER_ATTR}')) {
+      var props = img.getAttribute('${PLACEHOLDER_ATTR}').split(' ');
+      for (var i = 0; i < props.length; i++) {
+        img.style.removeProperty(props[i]);
+      }
+      img.removeAttribute('${PLACEHOLDER_ATTR}');
+    }
+  }, true);
+})();
+`;
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * 画像からプレースホルダーを生成
+ *
+ * @param {Buffer} input - 元画像
+ * @returns {Promise<{ color: string, blur: string }>} 代表色（#rrggbb）とぼかし画像（SVGのdata URI）
+ */
+export async function createPlaceholder(input) {
+  const image = sharp(input);
+  const { dominant } = await image.stats();
+  const { data, info } = await image
+    .clone()
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: "inside" })
+    .webp({ quality: 50 })
+    .toBuffer({ resolveWithObject: true });
+
+  // 縮小画像を拡大すると荒くなるため、SVG のフィルタでぼかす（端が透けないようにアルファは 1 に固定）
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${info.width} ${info.height}">` +
+    `<filter id="b" color-interpolation-filters="sRGB"><feGaussianBlur stdDeviation="1"/>` +
+    `<feComponentTransfer><feFuncA type="discrete" tableValues="1 1"/></feComponentTransfer></filter>` +
+    `<image width="100%" height="100%" preserveAspectRatio="none" filter="url(#b)" ` +
+    `href="data:image/webp;base64,${data.toString("base64")}"/></svg>`;
+
+  return {
+    color: toHex(dominant),
+    blur: `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`,
+  };
+}
+
+/**
+ * 出力先の画像からプレースホルダーを生成
+ *
+ * @param {object} output - lib/output.mjs の出力先
+ * @param {string[]} srcPaths - 対象の画像（出力先からの相対パス）
+ * @returns {Promise<Map<string, { color: string, blur: string }>>} 画像のパス → プレースホルダー
+ */
+export async function generatePlaceholders(output, srcPaths) {
+  const placeholders = new Map();
+  for (const srcPath of srcPaths) {
+    try {
+      placeholders.set(srcPath, await createPlaceholder(await output.read(srcPath)));
+    } catch (error) {
+      console.warn(`⚠ Placeholder skipped (${srcPath}): ${error.message}`);
+    }
+  }
+  return placeholders;
+}
+
+/**
+ * プレースホルダーの背景（style 属性に追加するプロパティ）
+ *
+ * @param {{ color: string, blur: string }} placeholder
+ * @param {string} mode - blur / color
+ * @returns {Object<string, string>} プロパティ名 → 値
+ */
+export function placeholderStyle(placeholder, mode) {
+  if (mode === "color") return { "background-color": placeholder.color };
+  return {
+    "background-color": placeholder.color,
+    "background-image": `url(${placeholder.blur})`,
+    "background-position": "center",
+    "background-size": "cover",
+    "background-repeat": "no-repeat",
+  };
+}
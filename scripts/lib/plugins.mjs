@@ -0,0 +1,70 @@
+/**
+ * LP Template - ビルドのプラグイン
+ *
+ * lp.config.mjs の plugins に登録したプラグインのフック（関数）をビルドの決まった時点で呼び出す
+ * scripts/ を変更せずに、チャットウィジェットの追加・URLの書き換えなどの処理を足すためのもの
+ *
+ * プラグインは { name, フック名: 関数 } のオブジェクト（フックは async 可、登録した順に実行）
+ * - afterAssets(ctx): 静的アセット・faviconの出力後（ctx.output にファイルを追加できる）
+ * - beforeHtml(html, ctx): ページのパース前（パーシャル展開後のHTML文字列、文字列を返すと置き換える）
+ * - transformHtml(ctx): ページの変換中（ctx.$ にパース済みのページ、画像の最適化・アセットのURL書き換えより前）
+ * - afterBuild(ctx): 全ページの出力後（ctx.manifest にハッシュ付きファイル名の対応）
+ */
+
+export const PLUGIN_HOOKS = ["afterAssets", "beforeHtml", "transformHtml", "afterBuild"];
+
+// プラグインの名前（エラーメッセージ用）
+function pluginName(plugin, index) {
+  return plugin.name || `plugins[${index}]`;
+}
+
+// プラグインのエラーに、どのプラグインのどのフックかを付ける
+function wrapError(error, plugin, index, hook) {
+  return Object.assign(new Error(`Plugin ${pluginName(plugin, index)} failed in ${hook}: ${error.message}`), {
+    cause: error,
+  });
+}
+
+/**
+ * フックを登録順に実行
+ *
+ * @param {object[]} plugins - lp.config.mjs の plugins
+ * @param {string} hook - afterAssets / transformHtml / afterBuild
+ * @param {object} ctx - フックに渡すコンテキスト
+ */
+export async function runPluginHook(plugins, hook, ctx) {
+  for (const [index, plugin] of plugins.entries()) {
+    if (typeof plugin[hook] !== "function") continue;
+    try {
+      await plugin[hook](ctx);
+    } catch (error) {
+      throw wrapError(error, plugin, index, hook);
+    }
+  }
+}
+
+/**
+ * beforeHtml を登録順に実行（前のプラグインが返したHTMLを次のプラグインに渡す）
+ *
+ * @param {object[]} plugins
+ * @param {string} html - パーシャル展開後のHTML
+ * @param {object} ctx - { pagePath, env, config }
+ * @returns {Promise<string>}
+ */
+export async function runBeforeHtml(plugins, html, ctx) {
+  for (const [index, plugin] of plugins.entries()) {
+    if (typeof plugin.beforeHtml !== "function") continue;
+    try {
+      const result = await plugin.beforeHtml(html, ctx);
+      if (typeof result === "string") html = result;
+    } catch (error) {
+      throw wrapError(error, plugin, index, "beforeHtml");
+    }
+  }
+  return html;
+}
+
+// ページの変換として transformHtml を実行（ctx.config: ページに適用する lp.config.mjs の設定）
+export async function transformHtmlByPlugins(ctx) {
+  await runPluginHook(ctx.config.plugins, "transformHtml", ctx);
+}
@@ -0,0 +1,312 @@
+/**
+ * LP Template - プロジェクト設定（lp.config.mjs）
+ *
+ * 画質・ブレークポイント・トランスパイル対象・minify のオプションなど、ビルドの調整値を読み込む
+ * - lp.config.mjs に書いた値だけ既定値（DEFAULT_PROJECT_CONFIG）を上書きする（ファイルが無ければ既定値）
+ * - 値の型は既定値と同じであること（誤りはビルドを中止する）
+ * - pages: ページ（src/ からの相対パスのglob）ごとの上書き（PAGE_OPTIONS の項目のみ）
+ * - plugins: ビルドのフックを持つプラグイン（lib/plugins.mjs）
+ * ※ 広告タグのID・URLなど、環境ごとに変わる値は .env に書く
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import picomatch from "picomatch";
+import { suggestKey } from "./config.mjs";
+import { PLUGIN_HOOKS } from "./plugins.mjs";
+
+export const PROJECT_CONFIG_FILE = "lp.config.mjs";
+
+/**
+ * @typedef {object} LpConfig
+ * @property {object} [images]
+ * @property {number} [images.maxWidth] - 画像の最大幅（px、これより大きい画像は縮小）
+ * @property {{ jpeg?: number, avif?: number, webp?: number }} [images.quality] - 画質（1〜100）
+ * @property {number} [breakpoint] - SPとPCの境目（px、この幅以下がSP）
+ * @property {object} [js]
+ * @property {string} [js.targets] - Babel のトランスパイル対象（browserslist の形式）
+ * @property {object} [conversion]
+ * @property {number[]} [conversion.scrollDepth] - スクロール深度を送信する位置（%）
+ * @property {object} [favicon]
+ * @property {number[]} [favicon.icoSizes] - favicon.ico に含めるサイズ（px、256以下）
+ * @property {number[]} [favicon.manifestSizes] - site.webmanifest のアイコンのサイズ（px）
+ * @property {object} [minify]
+ * @property {object} [minify.html] - html-minifier-terser のオプション
+ * @property {object} [minify.css] - clean-css のオプション
+ * @property {object} [minify.js] - terser のオプション
+ * @property {Object<string, LpConfig>} [pages] - ページのglob → 上書きする設定
+ * @property {LpPlugin[]} [plugins] - ビルドのプラグイン（登録した順に実行）
+ */
+
+/**
+ * @typedef {object} LpPlugin
+ * @property {string} [name] - エラーメッセージに表示する名前
+ * @property {(ctx: object) => void | Promise<void>} [afterAssets] - 静的アセット・faviconの出力後
+ * @property {(html: string, ctx: object) => string | void | Promise<string | void>} [beforeHtml] - ページのパース前
+ * @property {(ctx: object) => void | Promise<void>} [transformHtml] - ページの変換中（ctx.$ にパース済みのページ）
+ * @property {(ctx: object) => void | Promise<void>} [afterBuild] - 全ページの出力後（ctx.manifest）
+ */
+
+/** @type {LpConfig} */
+export const DEFAULT_PROJECT_CONFIG = {
+  images: {
+    maxWidth: 1920,
+    quality: { jpeg: 85, avif: 60, webp: 80 },
+  },
+  breakpoint: 767,
+  js: {
+    targets: "> 0.5%, last 2 versions, not dead, IE 11",
+  },
+  conversion: {
+    scrollDepth: [25, 50, 75, 90],
+  },
+  favicon: {
+    icoSizes: [16, 32, 48],
+    manifestSizes: [192, 512],
+  },
+  minify: {
+    html: {
+      collapseWhitespace: true,
+      collapseBooleanAttributes: true,
+      removeComments: true,
+      removeRedundantAttributes: true,
+      removeScriptTypeAttributes: true,
+      removeStyleLinkTypeAttributes: true,
+      useShortDoctype: true,
+      minifyCSS: true,
+      minifyJS: true,
+    },
+    css: { level: 2 },
+    js: { compress: true, mangle: true },
+  },
+  pages: {},
+  plugins: [],
+};
+
+// ページごとに上書きできる項目（画像・JS・faviconはサイト全体で共通）
+export const PAGE_OPTIONS = ["breakpoint", "conversion", "minify.html"];
+
+// 中身を検証せずに各ツールへ渡すオプション
+const PASSTHROUGH_OPTIONS = ["minify.html", "minify.css", "minify.js"];
+
+// 数値の範囲（この項目以下のすべての数値に適用）
+// breakpoint: 画像の表示幅はPC側を 1280px / 1920px で計測するため、それより狭い幅
+const RANGES = {
+  "images.maxWidth": [1, 10000],
+  "images.quality": [1, 100],
+  breakpoint: [320, 1279],
+  "conversion.scrollDepth": [1, 100],
+  "favicon.icoSizes": [1, 256],
+  "favicon.manifestSizes": [1, 4096],
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// 項目の範囲（親の項目に指定されたものを含む）
+function rangeOf(keyPath) {
+  const key = Object.keys(RANGES).find((prefix) => keyPath === prefix || keyPath.startsWith(`${prefix}.`));
+  return key ? RANGES[key] : null;
+}
+
+// 数値1つを検証（既定値の数値はすべて正の整数）
+function checkNumber(value, keyPath) {
+  if (!Number.isInteger(value) || value <= 0) return "expected a positive integer";
+  const range = rangeOf(keyPath);
+  if (range && (value < range[0] || value > range[1])) return `expected ${range[0]}-${range[1]}`;
+  return null;
+}
+
+// プラグインの形式を検証（name と lib/plugins.mjs のフックのみ）
+function checkPlugins(plugins, issues) {
+  if (!Array.isArray(plugins)) {
+    issues.push({ key: "plugins", value: null, message: "expected an array of plugins" });
+    return;
+  }
+  plugins.forEach((plugin, index) => {
+    const keyPath = `plugins[${index}]`;
+    if (!isPlainObject(plugin)) {
+      issues.push({ key: keyPath, value: null, message: "expected an object ({ name, transformHtml, ... })" });
+      return;
+    }
+    for (const [key, value] of Object.entries(plugin)) {
+      if (key === "name") {
+        if (typeof value !== "string") issues.push({ key: `${keyPath}.name`, value: null, message: "expected a string" });
+      } else if (!PLUGIN_HOOKS.includes(key)) {
+        const suggestion = suggestKey(key, PLUGIN_HOOKS);
+        issues.push({
+          key: `${keyPath}.${key}`,
+          value: null,
+          message: suggestion ? `is not a known hook (did you mean ${suggestion}?)` : "is not a known hook",
+        });
+      } else if (typeof value !== "function") {
+        issues.push({ key: `${keyPath}.${key}`, value: null, message: "expected a function" });
+      }
+    }
+  });
+}
+
+// 既定値と同じ型か検証（issues に { key, value, message } を追加）
+function checkShape(value, defaults, keyPath, issues) {
+  const error = (message) => issues.push({ key: keyPath, value: JSON.stringify(value), message });
+
+  if (keyPath === "plugins") {
+    checkPlugins(value, issues);
+    return;
+  }
+
+  if (PASSTHROUGH_OPTIONS.includes(keyPath)) {
+    if (!isPlainObject(value)) error("expected an object");
+    return;
+  }
+
+  if (isPlainObject(defaults)) {
+    if (!isPlainObject(value)) {
+      error("expected an object");
+      return;
+    }
+    const known = Object.keys(defaults);
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (!(key in defaults)) {
+        const suggestion = suggestKey(key, known);
+        issues.push({
+          key: childPath,
+          value: null,
+          message: suggestion ? `is not a known option (did you mean ${suggestion}?)` : "is not a known option",
+        });
+      } else {
+        checkShape(child, defaults[key], childPath, issues);
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(defaults)) {
+    if (!Array.isArray(value) || value.length === 0) {
+      error("expected a non-empty array of numbers");
+      return;
+    }
+    const message = value.map((item) => checkNumber(item, keyPath)).find(Boolean);
+    if (message) error(message.replace("expected", "expected items to be"));
+    return;
+  }
+
+  if (typeof defaults === "number") {
+    const message = checkNumber(value, keyPath);
+    if (message) error(message);
+    return;
+  }
+
+  if (typeof value !== typeof defaults || value === "") error(`expected a ${typeof defaults}`);
+}
+
+// ページの上書きが PAGE_OPTIONS の項目だけか検証
+function checkPageOptions(overrides, keyPath, prefix, issues) {
+  for (const [key, value] of Object.entries(overrides)) {
+    const optionPath = prefix ? `${prefix}.${key}` : key;
+    if (PAGE_OPTIONS.some((option) => optionPath === option || optionPath.startsWith(`${option}.`))) continue;
+    if (isPlainObject(value) && PAGE_OPTIONS.some((option) => option.startsWith(`${optionPath}.`))) {
+      checkPageOptions(value, keyPath, optionPath, issues);
+    } else {
+      issues.push({
+        key: `${keyPath}.${optionPath}`,
+        value: null,
+        message: `cannot be set per page (${PAGE_OPTIONS.join(" / ")})`,
+      });
+    }
+  }
+}
+
+// 設定を重ねる（オブジェクトは項目ごと、配列・値は置き換え）
+export function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * lp.config.mjs を読み込む（無ければ空の設定）
+ *
+ * devサーバーで変更を反映できるよう、更新日時ごとに読み込み直す
+ *
+ * @param {string} projectRoot
+ * @returns {Promise<LpConfig>} 書かれた設定（既定値は含まない）
+ */
+export async function loadProjectConfig(projectRoot) {
+  const filePath = path.join(projectRoot, PROJECT_CONFIG_FILE);
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch {
+    return {};
+  }
+
+  try {
+    const module = await import(`${pathToFileURL(filePath).href}?t=${stat.mtimeMs}`);
+    return module.default ?? {};
+  } catch (error) {
+    throw Object.assign(new Error(`Failed to load ${PROJECT_CONFIG_FILE}: ${error.message}`), {
+      code: "INVALID_CONFIG",
+    });
+  }
+}
+
+/**
+ * 設定を検証し、既定値と重ねる
+ *
+ * @param {LpConfig} userConfig - loadProjectConfig() の結果
+ * @returns {{ config: LpConfig, errors: object[] }} errors: { key, value, message }（lib/config.mjs の formatIssue で整形）
+ */
+export function validateProjectConfig(userConfig) {
+  const errors = [];
+  const { pages = {}, ...rest } = isPlainObject(userConfig) ? userConfig : {};
+  if (!isPlainObject(userConfig)) {
+    errors.push({ key: PROJECT_CONFIG_FILE, value: null, message: "must export an object (export default { ... })" });
+  }
+
+  checkShape(rest, DEFAULT_PROJECT_CONFIG, "", errors);
+
+  if (!isPlainObject(pages)) {
+    errors.push({ key: "pages", value: JSON.stringify(pages), message: "expected an object (page glob → options)" });
+  } else {
+    for (const [glob, overrides] of Object.entries(pages)) {
+      const keyPath = `pages["${glob}"]`;
+      if (!isPlainObject(overrides)) {
+        errors.push({ key: keyPath, value: JSON.stringify(overrides), message: "expected an object" });
+        continue;
+      }
+      const issues = [];
+      checkShape(overrides, DEFAULT_PROJECT_CONFIG, "", issues);
+      errors.push(...issues.map((issue) => ({ ...issue, key: `${keyPath}.${issue.key}` })));
+      if (issues.length === 0) checkPageOptions(overrides, keyPath, "", errors);
+    }
+  }
+
+  return { config: mergeConfig(DEFAULT_PROJECT_CONFIG, errors.length > 0 ? {} : userConfig), errors };
+}
+
+/**
+ * ページに適用する設定（pages のglobに一致する上書きを書かれた順に重ねる）
+ *
+ * @param {LpConfig} config - validateProjectConfig() の config
+ * @param {string} pagePath - src/ からの相対パス
+ * @returns {LpConfig}
+ */
+export function resolvePageConfig(config, pagePath) {
+  return Object.entries(config.pages || {})
+    .filter(([glob]) => picomatch(glob)(pagePath))
+    .reduce((merged, [, overrides]) => mergeConfig(merged, overrides), config);
+}
+
+/**
+ * lp.config.mjs の設定に型を付ける（エディタの補完用、値はそのまま返す）
+ *
+ * @param {LpConfig} config
+ * @returns {LpConfig}
+ */
+export function defineConfig(config) {
+  return config;
+}
@@ -0,0 +1,71 @@
+/**
+ * LP Template - 未使用CSSの削除
+ *
+ * ビルド後のページに一致する要素が無いセレクタを削除する
+ * - :hover / ::before / :checked などの状態・疑似要素は外して判定（元の要素があれば残す）
+ * - JSで付け外しするクラス（safelist）は無いものとして判定（is-visible 等）
+ * - 判定できないセレクタ、@font-face / @keyframes は残す
+ */
+
+import postcss from "postcss";
+
+// 実行時に変わる状態・疑似要素（判定時に外す）
+const dynamicPseudo =
+  /::?(?:before|after|first-line|first-letter|placeholder|marker|selection|backdrop|hover|focus-visible|focus-within|focus|active|visited|link|target|checked|disabled|enabled|invalid|valid|placeholder-shown|user-invalid|user-valid)\b/g;
+
+// 既定の safelist（クイズ・フェードインのスクリプトが付け外しするクラス）
+export const DEFAULT_SAFELIST = ["is-active", "is-visible", "has-error"];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// セレクタがいずれかのページで使われているか
+function isUsed(selector, documents, safelistPattern) {
+  let stripped = selector.replace(dynamicPseudo, "");
+  if (safelistPattern) stripped = stripped.replace(safelistPattern, "");
+  stripped = stripped.trim();
+  if (!stripped || /^[>+~]|[>+~]$/.test(stripped)) return true;
+
+  try {
+    return documents.some(($) => $(stripped).length > 0);
+  } catch {
+    // cheerio で解釈できないセレクタは残す
+    return true;
+  }
+}
+
+/**
+ * CSSから未使用のセレクタを削除
+ *
+ * @param {string} css - 対象のCSS
+ * @param {Function[]} documents - 判定に使うページ（cheerio）
+ * @param {object} [options]
+ * @param {string[]} [options.safelist] - JSで付け外しするクラス名
+ * @returns {{ css: string, saved: number }} 削除後のCSSと削減したバイト数
+ */
+export function purgeCss(css, documents, { safelist = DEFAULT_SAFELIST } = {}) {
+  const root = postcss.parse(css);
+  const safelistPattern =
+    safelist.length > 0 ? new RegExp(`\\.(?:${safelist.map(escapeRegExp).join("|")})(?![\\w-])`, "g") : null;
+
+  root.walkRules((rule) => {
+    // @keyframes 内の 0% / to などはセレクタではない
+    if (rule.parent.type === "atrule" && /keyframes$/i.test(rule.parent.name)) return;
+
+    const used = rule.selectors.filter((selector) => isUsed(selector, documents, safelistPattern));
+    if (used.length === 0) {
+      rule.remove();
+    } else if (used.length < rule.selectors.length) {
+      rule.selectors = used;
+    }
+  });
+
+  // 中身が空になった @media / @supports を削除
+  root.walkAtRules(/^(media|supports|container|layer)$/i, (atRule) => {
+    if (atRule.nodes && atRule.nodes.length === 0) atRule.remove();
+  });
+
+  const purged = root.toString();
+  return { css: purged, saved: Buffer.byteLength(css) - Buffer.byteLength(purged) };
+}
@@ -0,0 +1,105 @@
+/**
+ * LP Template - ヘッドレスブラウザでのレンダリング
+ *
+ * ビルド途中のページを puppeteer で表示し、レイアウトを計測する（クリティカルCSSの抽出など）
+ * - ページ・CSS・画像はビルド出力先（lib/output.mjs）から返す（BASE_PATH 配下）
+ * - 外部へのリクエスト（広告タグ等）は遮断
+ * - ブラウザを起動できない環境では null を返し、呼び出し側で処理をスキップする
+ */
+
+import path from "node:path";
+
+// 仮想オリジン（ページ・アセットは出力先から返す）
+export const ORIGIN = "http://lp.localhost";
+
+// 計測するビューポート
+export const VIEWPORTS = [
+  { name: "mobile", width: 375, height: 812, isMobile: true, hasTouch: true },
+  { name: "desktop", width: 1366, height: 900 },
+];
+
+const contentTypes = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".woff2": "font/woff2",
+};
+
+/**
+ * ブラウザを起動（起動できなければ null）
+ */
+export async function launchBrowser() {
+  try {
+    const { default: puppeteer } = await import("puppeteer");
+    return await puppeteer.launch({ headless: "new" });
+  } catch (error) {
+    console.log(`  Headless browser unavailable: ${error.message.split("\n")[0]}`);
+    return null;
+  }
+}
+
+/**
+ * ビルド中に共有するブラウザ（最初に使うときに起動し、ビルドの最後に閉じる）
+ */
+export function createRenderer() {
+  let browser;
+  return {
+    // 起動できなければ null
+    async get() {
+      if (browser === undefined) browser = launchBrowser();
+      return browser;
+    },
+    async close() {
+      const launched = await browser;
+      if (launched) await launched.close();
+      browser = undefined;
+    },
+  };
+}
+
+/**
+ * ビルド途中のページを開く
+ *
+ * @param {object} browser - launchBrowser() の戻り値
+ * @param {object} options
+ * @param {string} options.html - ページのHTML
+ * @param {string} options.pagePath - 出力先からの相対パス（index.html, thanks/index.html）
+ * @param {object} options.output - ビルド出力先
+ * @param {string} [options.basePath] - BASE_PATH（末尾スラッシュなし）
+ * @param {object} options.viewport - VIEWPORTS の要素
+ * @returns {Promise<object>} puppeteer の Page（使い終わったら close する）
+ */
+export async function openPage(browser, { html, pagePath, output, basePath = "", viewport }) {
+  const page = await browser.newPage();
+  const pageUrl = `${ORIGIN}${basePath}/${pagePath}`;
+
+  await page.setViewport(viewport);
+  await page.setRequestInterception(true);
+  page.on("request", async (request) => {
+    const url = new URL(request.url());
+    if (url.href.split("#")[0] === pageUrl) {
+      return request.respond({ status: 200, contentType: contentTypes[".html"], body: html });
+    }
+    if (url.origin !== ORIGIN || !url.pathname.startsWith(`${basePath}/`)) {
+      return request.abort();
+    }
+
+    const relPath = decodeURIComponent(url.pathname.slice(basePath.length + 1));
+    try {
+      const body = await output.read(relPath);
+      const ext = path.posix.extname(relPath).toLowerCase();
+      return request.respond({ status: 200, contentType: contentTypes[ext] || "application/octet-stream", body });
+    } catch {
+      return request.respond({ status: 404, body: "" });
+    }
+  });
+
+  await page.goto(pageUrl, { waitUntil: "networkidle0" });
+  return page;
+}
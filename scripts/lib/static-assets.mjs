@@ -0,0 +1,150 @@
+/**
+ * LP Template - 静的アセットの出力
+ *
+ * src/ のページ以外のファイルを、種類ごとの処理で出力先に書き出す（src/ と同じ相対パス）
+ * - 画像（PNG/JPG）: lib/image-optimizer.mjs で最適化
+ * - テキスト（CSS / JS / JSON / webmanifest / SVG）: minify
+ * - その他（PDF / robots.txt / .well-known/ / 動画など）: そのままコピー
+ *
+ * 対象は STATIC_INCLUDE / STATIC_EXCLUDE のglob（カンマ区切り、src/ からの相対パス）で変更できる
+ *
+ *   STATIC_INCLUDE=images/**,downloads/**,robots.txt,.well-known/**
+ *   STATIC_EXCLUDE=drafts/**,originals/**
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import picomatch from "picomatch";
+import CleanCSS from "clean-css";
+import { minify as minifyJs } from "terser";
+import { PARTIALS_DIR } from "./includes.mjs";
+import { optimizeImages } from "./image-optimizer.mjs";
+import { DEFAULT_PROJECT_CONFIG } from "./project-config.mjs";
+import { toPosixPath } from "./paths.mjs";
+
+export const DEFAULT_INCLUDE = ["**/*"];
+
+// 常に対象外（ページ・パーシャルはHTML処理、style.css / script.js はCSS/JS処理で出力する）
+const BUILT_IN_EXCLUDE = [
+  "**/*.html",
+  `${PARTIALS_DIR}/**`,
+  "style.css",
+  "script.js",
+  "**/.gitkeep",
+  "**/.DS_Store",
+  "**/Thumbs.db",
+];
+
+// カンマ区切りのglobをパース（空なら null）
+export function parseGlobs(value) {
+  const globs = (value || "")
+    .split(",")
+    .map((glob) => glob.trim())
+    .filter(Boolean);
+  return globs.length > 0 ? globs : null;
+}
+
+// ディレクトリ内のファイルを列挙（ドットファイルを含む、dir からの相対パス）
+async function listFiles(dir, base = dir) {
+  const files = [];
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(fullPath, base)));
+    } else if (entry.isFile()) {
+      files.push(toPosixPath(path.relative(base, fullPath)));
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * 出力する静的アセットを列挙
+ *
+ * @param {string} srcDir - src/
+ * @param {object} [options]
+ * @param {string[]} [options.include] - 対象のglob
+ * @param {string[]} [options.exclude] - 除外するglob（常に除外するページ・パーシャル等に追加）
+ * @returns {Promise<string[]>} src/ からの相対パス
+ */
+export async function listStaticAssets(srcDir, { include = DEFAULT_INCLUDE, exclude = [] } = {}) {
+  const isIncluded = picomatch(include, { dot: true });
+  const isExcluded = picomatch([...BUILT_IN_EXCLUDE, ...exclude], { dot: true });
+  return (await listFiles(srcDir)).filter((file) => isIncluded(file) && !isExcluded(file));
+}
+
+// SVG: コメントとタグ間の改行・インデントを削除
+function minifySvg(svg) {
+  return svg
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/>\s*\n\s*</g, "><")
+    .trim();
+}
+
+// テキストファイルの minify（拡張子ごと、CSS / JS は lp.config.mjs の minify.css / minify.js）
+function createTextMinifiers({ css, js }) {
+  return {
+    ".css": async (text) => new CleanCSS(css).minify(text).styles,
+    ".js": async (text) => (await minifyJs(text, js)).code,
+    ".mjs": async (text) => (await minifyJs(text, { ...js, module: true })).code,
+    ".json": async (text) => JSON.stringify(JSON.parse(text)),
+    ".webmanifest": async (text) => JSON.stringify(JSON.parse(text)),
+    ".svg": async (text) => minifySvg(text),
+  };
+}
+
+/**
+ * 静的アセットを出力先に書き出す
+ *
+ * @param {string} srcDir - src/
+ * @param {object} output - lib/output.mjs の出力先
+ * @param {object} options
+ * @param {string[]} [options.include] - 対象のglob
+ * @param {string[]} [options.exclude] - 除外するglob
+ * @param {Set<string>} [options.skip] - 出力しないファイル（使われていない画像など）
+ * @param {object} options.images - optimizeImages() のオプション（projectRoot / cacheDir / widths / maxWidth / quality）
+ * @param {{ css: object, js: object }} [options.minify] - clean-css / terser のオプション（lp.config.mjs の minify）
+ * @returns {Promise<{ dimensions: object, optimized: number, cached: number, minified: number, copied: number }>}
+ *   dimensions: 出力した画像のサイズ（lib/image-optimizer.mjs）
+ */
+export async function copyStaticAssets(
+  srcDir,
+  output,
+  { include, exclude, skip = new Set(), images, minify = DEFAULT_PROJECT_CONFIG.minify },
+) {
+  const textMinifiers = createTextMinifiers(minify);
+  const files = (await listStaticAssets(srcDir, { include, exclude })).filter((file) => !skip.has(file));
+
+  // 画像
+  const { dimensions, optimized, cached, written } = await optimizeImages(srcDir, files, output, images);
+  const optimizedSet = new Set(optimized);
+
+  let minified = 0;
+  let copied = 0;
+  for (const file of files) {
+    // 最適化した画像・その変換結果と同じ名前のファイル（手動で作った hero.avif など）は変換結果を優先
+    if (optimizedSet.has(file) || written.has(file)) continue;
+
+    const content = await fs.readFile(path.join(srcDir, file));
+    const minifyText = textMinifiers[path.posix.extname(file).toLowerCase()];
+    if (minifyText) {
+      try {
+        await output.write(file, await minifyText(content.toString("utf-8")));
+        minified++;
+        continue;
+      } catch (error) {
+        console.warn(`⚠ Minify skipped (${file}): ${error.message}`);
+      }
+    }
+    await output.write(file, content);
+    copied++;
+  }
+
+  return { dimensions, optimized: optimized.length, cached, minified, copied };
+}
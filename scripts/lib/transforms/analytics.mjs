@@ -0,0 +1,112 @@
+/**
+ * LP Template - 広告タグの変換
+ */
+
+import { appendToHead } from "../dom.mjs";
+
+// 広告タグを生成
+export function generateAnalyticsTags(env) {
+  const tags = [];
+
+  // Google Analytics 4
+  if (env.GA_MEASUREMENT_ID) {
+    tags.push(`
+<!-- Google Analytics -->
+<script async src="https://www.googletagmanager.com/gtag/js?id=${env.GA_MEASUREMENT_ID}"></script>
+<script>
+  window.dataLayer = window.dataLayer || [];
+  function gtag(){dataLayer.push(arguments);}
+  gtag('js', new Date());
+  gtag('config', '${env.GA_MEASUREMENT_ID}');
+  ${env.GA_ADS_ID ? `gtag('config', '${env.GA_ADS_ID}');` : ""}
+</script>`);
+  }
+
+  // Meta Pixel
+  if (env.META_PIXEL_ID) {
+    tags.push(`
+<!-- Meta Pixel -->
+<script>
+  !function(f,b,e,v,n,t,s){if(f.fbq)return;n=f.fbq=function(){n.callMethod?
+  n.callMethod.apply(n,arguments):n.queue.push(arguments)};if(!f._fbq)f._fbq=n;
+  n.push=n;n.loaded=!0;n.version='2.0';n.queue=[];t=b.createElement(e);t.async=!0;
+  t.src=v;s=b.getElementsByTagName(e)[0];s.parentNode.insertBefore(t,s)}(window,
+  document,'script','https://connect.facebook.net/en_US/fbevents.js');
+  fbq('init', '${env.META_PIXEL_ID}');
+  fbq('track', 'PageView');
+</script>
+<noscript><img height="1" width="1" style="display:none" src="https://www.facebook.com/tr?id=${env.META_PIXEL_ID}&ev=PageView&noscript=1"/></noscript>`);
+  }
+
+  // LINE Tag
+  if (env.LINE_TAG_ID) {
+    tags.push(`
+<!-- LINE Tag -->
+<script>
+  (function(g,d,o){g._ltq=g._ltq||[];g._lt=g._lt||function(){g._ltq.push(arguments)};
+  var h=d.getElementsByTagName(o)[0];var s=d.createElement(o);s.async=1;
+  s.src='https://d.line-scdn.net/n/line_tag/public/release/v1/lt.js';
+  h.parentNode.insertBefore(s,h)})(window,document,'script');
+  _lt('init',{customerType:'account',tagId:'${env.LINE_TAG_ID}'});
+  _lt('send','pv',['${env.LINE_TAG_ID}']);
+</script>
+<noscript><img height="1" width="1" style="display:none" src="https://tr.line.me/tag.gif?c_t=lap&t_id=${env.LINE_TAG_ID}&e=pv&noscript=1"/></noscript>`);
+  }
+
+  // Yahoo Tag
+  if (env.YAHOO_RETARGETING_ID) {
+    tags.push(`
+<!-- Yahoo Tag -->
+<script async src="https://s.yimg.jp/images/listing/tool/cv/ytag.js"></script>
+<script>
+  window.yjDataLayer = window.yjDataLayer || [];
+  function ytag(){yjDataLayer.push(arguments);}
+  ytag('config', { yahoo_ss_retargeting_id: '${env.YAHOO_RETARGETING_ID}' });
+</script>`);
+  }
+
+  // Microsoft Clarity
+  if (env.CLARITY_PROJECT_ID) {
+    tags.push(`
+<!-- Microsoft Clarity -->
+<script>
+  (function(c,l,a,r,i,t,y){c[a]=c[a]||function(){(c[a].q=c[a].q||[]).push(arguments)};
+  t=l.createElement(r);t.async=1;t.src="https://www.clarity.ms/tag/"+i;
+  y=l.getElementsByTagName(r)[0];y.parentNode.insertBefore(t,y);
+  })(window,document,"clarity","script","${env.CLARITY_PROJECT_ID}");
+</script>`);
+  }
+
+  return tags.join("\n");
+}
+
+// 注入済みの広告タグの判定（minify でコメント・引用符が変わっても一致するよう、読み込むURLと初期化のコードで判定）
+const INJECTED_SCRIPT_SRC = ["googletagmanager.com/gtag/js", "s.yimg.jp/images/listing/tool/cv/ytag.js"];
+const INJECTED_SCRIPT_CODE = [
+  /gtag\(\s*["']js["']/,
+  /fbq\(\s*["']init["']/,
+  /_lt\(\s*["']init["']/,
+  /yahoo_ss_retargeting_id/,
+  /clarity\.ms\/tag\//,
+];
+const INJECTED_NOSCRIPT = [/facebook\.com\/tr\?id=/, /tr\.line\.me\/tag\.gif/];
+
+// 注入済みの広告タグを削除（ビルド後の個別注入で入れ直す前に使う）
+export function removeAnalyticsTags({ $ }) {
+  $("head script").each((i, el) => {
+    const src = $(el).attr("src") || "";
+    const code = $(el).html() || "";
+    if (INJECTED_SCRIPT_SRC.some((url) => src.includes(url)) || INJECTED_SCRIPT_CODE.some((re) => re.test(code))) {
+      $(el).remove();
+    }
+  });
+  $("head noscript").each((i, el) => {
+    const html = $(el).html() || "";
+    if (INJECTED_NOSCRIPT.some((re) => re.test(html))) $(el).remove();
+  });
+}
+
+// 広告タグを注入
+export function injectAnalyticsTags({ $, env }) {
+  appendToHead($, generateAnalyticsTags(env));
+}
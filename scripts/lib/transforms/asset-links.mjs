@@ -0,0 +1,24 @@
+/**
+ * LP Template - CSS/JSリンクの変換
+ */
+
+import { isRelativeUrl, resolveSrcPath, toPageUrl } from "../paths.mjs";
+
+/**
+ * ソースのCSS/JSへの参照をビルド後のファイルに置き換える
+ * （ページの階層に合わせて解決し、BASE_PATHを適用）
+ *
+ * ctx.assetLinks: { "style.css": "style.min.css", ... }（src/ からの相対パス）
+ */
+export function rewriteAssetLinks({ $, assetLinks = {}, pageDir = ".", basePath = "" }) {
+  $("link[href], script[src]").each((i, el) => {
+    const attr = el.tagName === "link" ? "href" : "src";
+    const url = $(el).attr(attr);
+    if (!isRelativeUrl(url)) return;
+
+    const target = assetLinks[resolveSrcPath(url, pageDir)];
+    if (target) {
+      $(el).attr(attr, toPageUrl(target, pageDir, basePath));
+    }
+  });
+}
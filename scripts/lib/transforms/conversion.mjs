@@ -0,0 +1,150 @@
+/**
+ * LP Template - コンバージョン追跡コードの変換
+ *
+ * data-cv属性のクリック・スクロール深度・滞在時間の追跡コードを、
+ * ページが script.js を読み込んでいれば script.min.js に、そうでなければインラインで必ず含める
+ */
+
+import { resolveOutputPath } from "../manifest.mjs";
+import { DEFAULT_PROJECT_CONFIG } from "../project-config.mjs";
+
+// インラインで注入した追跡コードの目印
+const RUNTIME_ATTR = "data-cv-runtime";
+
+// 共通スクリプトに追加した追跡コードの目印（minify 後も残るコメント、ここからファイル末尾までが追跡コード）
+export const CONVERSION_MARKER = "/*! lp:conversion */";
+
+// コンバージョン追跡コードを生成（settings: lp.config.mjs の conversion）
+export function generateConversionCode(env, settings = DEFAULT_PROJECT_CONFIG.conversion) {
+  const code = [];
+
+  code.push(`
+(function() {
+  document.querySelectorAll('[data-cv]').forEach(function(el) {
+    el.addEventListener('click', function() {
+      var cvType = this.dataset.cv;
+      var label = this.textContent || this.innerText;
+`);
+
+  if (env.GA_MEASUREMENT_ID) {
+    code.push(`
+      if (typeof gtag === 'function') {
+        gtag('event', cvType, { event_category: 'conversion', event_label: label });
+      }`);
+  }
+
+  if (env.GA_ADS_ID && env.GA_ADS_CONVERSION_LABEL) {
+    code.push(`
+      if (typeof gtag === 'function') {
+        gtag('event', 'conversion', { send_to: '${env.GA_ADS_ID}/${env.GA_ADS_CONVERSION_LABEL}' });
+      }`);
+  }
+
+  if (env.META_PIXEL_ID) {
+    code.push(`
+      if (typeof fbq === 'function') {
+        fbq('track', cvType === 'tel' ? 'Contact' : 'Lead');
+      }`);
+  }
+
+  if (env.LINE_TAG_ID) {
+    code.push(`
+      if (typeof _lt === 'function') {
+        _lt('send', 'cv', { type: cvType });
+      }`);
+  }
+
+  if (env.YAHOO_CONVERSION_ID && env.YAHOO_CONVERSION_LABEL) {
+    code.push(`
+      if (typeof ytag === 'function') {
+        ytag('conversion', { yahoo_conversion_id: '${env.YAHOO_CONVERSION_ID}', yahoo_conversion_label: '${env.YAHOO_CONVERSION_LABEL}' });
+      }`);
+  }
+
+  code.push(`
+    });
+  });
+`);
+
+  // スクロール深度トラッキング
+  if (env.TRACK_SCROLL_DEPTH === "true" && env.GA_MEASUREMENT_ID) {
+    code.push(`
+  var scrollTracked = {};
+  window.addEventListener('scroll', function() {
+    var scrollPercent = Math.floor((window.scrollY + window.innerHeight) / document.body.scrollHeight * 100);
+    ${JSON.stringify(settings.scrollDepth)}.forEach(function(point) {
+      if (scrollPercent >= point && !scrollTracked[point]) {
+        scrollTracked[point] = true;
+        if (typeof gtag === 'function') { gtag('event', 'scroll_depth', { depth: point }); }
+      }
+    });
+  });
+`);
+  }
+
+  // 滞在時間トラッキング
+  if (env.TRACK_TIME_ON_PAGE && env.GA_MEASUREMENT_ID) {
+    const times = env.TRACK_TIME_ON_PAGE.split(",").map((t) => parseInt(t.trim(), 10));
+    code.push(`
+  var timeTracked = {};
+  var timePoints = ${JSON.stringify(times)};
+  var startTime = Date.now();
+  setInterval(function() {
+    var elapsed = Math.floor((Date.now() - startTime) / 1000);
+    timePoints.forEach(function(seconds) {
+      if (elapsed >= seconds && !timeTracked[seconds]) {
+        timeTracked[seconds] = true;
+        if (typeof gtag === 'function') { gtag('event', 'time_on_page', { seconds: seconds }); }
+      }
+    });
+  }, 1000);
+`);
+  }
+
+  code.push(`})();`);
+  return code.join("");
+}
+
+// ページが読み込むサイト内のスクリプトを src/（build/）基準のパスで取得
+// rewriteAssetLinks の後は BASE_PATH 付きのURL（/lp/script.min.js）になっているため、basePath を除いて解決する
+function findPageScripts($, pageDir, basePath = "") {
+  return $("script[src]")
+    .map((i, el) => resolveOutputPath($(el).attr("src"), pageDir, basePath))
+    .get()
+    .filter(Boolean);
+}
+
+/**
+ * 追跡コードをページに含める
+ *
+ * ctx.sharedScript: 追跡コード入りでビルドされた共通スクリプト（{ src: "script.js", output: "script.min.js" }）
+ * ctx.config: ページに適用する lp.config.mjs の設定（インラインの場合は conversion を使う）
+ * 結果は ctx.conversion に "shared" / "inline" で記録
+ */
+export function injectConversionCode(ctx) {
+  const { $, env, pageDir = ".", basePath = "", sharedScript, config = DEFAULT_PROJECT_CONFIG } = ctx;
+
+  if (sharedScript && findPageScripts($, pageDir, basePath).includes(sharedScript.src)) {
+    ctx.conversion = "shared";
+    return;
+  }
+
+  $("body").append(`<script ${RUNTIME_ATTR}>${generateConversionCode(env, config.conversion)}</script>\n`);
+  ctx.conversion = "inline";
+}
+
+// data-cv要素があるのに追跡コードが参照されていない場合はエラー（rewriteAssetLinks の後に実行）
+export function verifyConversionTracking({ $, pagePath, pageDir = ".", basePath = "", conversion, sharedScript }) {
+  const cvCount = $("[data-cv]").length;
+  if (cvCount === 0) return;
+
+  const hasInline = $(`script[${RUNTIME_ATTR}]`).length > 0;
+  const hasShared =
+    conversion === "shared" && sharedScript && findPageScripts($, pageDir, basePath).includes(sharedScript.output);
+
+  if (!hasInline && !hasShared) {
+    throw new Error(
+      `${pagePath}: data-cv要素が${cvCount}個ありますが、コンバージョン追跡コードが読み込まれていません`,
+    );
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * LP Template - faviconタグの変換
+ */
+
+import { appendToHead } from "../dom.mjs";
+import { escapeHtml } from "./meta.mjs";
+
+// faviconタグを生成（BASE_PATHを適用）
+// favicons: lib/favicons.mjs の generateFavicons() の結果（SVGを生成したか）
+export function generateFaviconTags(basePath = "", favicons = {}) {
+  // 末尾スラッシュを正規化
+  const prefix = basePath ? basePath.replace(/\/$/, "") : "";
+  const faviconTags = [];
+
+  // ICOは複数サイズを含む（lp.config.mjs の favicon.icoSizes で変わる）ため sizes="any"
+  faviconTags.push(`<link rel="icon" href="${prefix}/favicon.ico" sizes="any">`);
+  if (favicons.svg) {
+    faviconTags.push(`<link rel="icon" type="image/svg+xml" href="${prefix}/favicon.svg">`);
+  }
+  if (favicons.darkSvg) {
+    faviconTags.push(
+      `<link rel="icon" type="image/svg+xml" href="${prefix}/favicon-dark.svg" media="(prefers-color-scheme: dark)">`,
+    );
+  }
+  faviconTags.push(`<link rel="icon" type="image/png" sizes="16x16" href="${prefix}/favicon-16x16.png">`);
+  faviconTags.push(`<link rel="icon" type="image/png" sizes="32x32" href="${prefix}/favicon-32x32.png">`);
+  faviconTags.push(`<link rel="apple-touch-icon" sizes="180x180" href="${prefix}/apple-touch-icon.png">`);
+  faviconTags.push(`<link rel="manifest" href="${prefix}/site.webmanifest">`);
+
+  return `<!-- Favicon -->\n${faviconTags.join("\n")}`;
+}
+
+// faviconタグ（faviconを生成した場合のみ）と theme-color を注入
+export function injectFaviconTags({ $, env, faviconTags }) {
+  appendToHead($, faviconTags);
+  if (env.THEME_COLOR && $('meta[name="theme-color"]').length === 0) {
+    appendToHead($, `<meta name="theme-color" content="${escapeHtml(env.THEME_COLOR)}">`);
+  }
+}
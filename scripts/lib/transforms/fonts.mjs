@@ -0,0 +1,77 @@
+/**
+ * LP Template - Google Fonts のセルフホスト化
+ */
+
+import { isLocalFont, parseGoogleFontsUrl, fontFilePath, generateFontFaceCss } from "../fonts.mjs";
+import { toPageUrl } from "../paths.mjs";
+
+const googleFontsHosts = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+// preload するウェイトを決める（FONT_PRELOAD_WEIGHT 未指定なら本文の 400 に最も近いウェイト）
+function preloadWeights(weights, env) {
+  if (env.FONT_PRELOAD_WEIGHT) {
+    return env.FONT_PRELOAD_WEIGHT.split(",")
+      .map((w) => Number(w.trim()))
+      .filter((w) => weights.includes(w));
+  }
+  const closest = [...weights].sort((a, b) => Math.abs(a - 400) - Math.abs(b - 400) || a - b)[0];
+  return closest ? [closest] : [];
+}
+
+/**
+ * Google Fonts の <link> をローカルフォントの @font-face + preload に置き換える
+ * （セルフホストできないファミリーは Google Fonts のまま残す）
+ *
+ * ctx.webFonts: このページで使うファミリーとウェイト（ビルドがサブセット化に使う）
+ * フォントのURLは BASE_PATH 未指定ならページからの相対パス（lib/paths.mjs の toPageUrl()）
+ */
+export function selfHostFonts(ctx) {
+  const { $, env = {}, basePath = "", pageDir = "." } = ctx;
+  const families = [];
+
+  $('link[rel="stylesheet"][href*="fonts.googleapis.com"]').each((i, link) => {
+    const $link = $(link);
+    const parsed = parseGoogleFontsUrl($link.attr("href"));
+    if (!parsed) return;
+
+    const local = parsed.families.filter(({ family }) => isLocalFont(family));
+    if (local.length === 0) return;
+
+    const files = local.flatMap(({ family, weights }) =>
+      weights.map((weight) => ({ family, weight, path: fontFilePath(family, weight) })),
+    );
+    const preloads = local.flatMap(({ family, weights }) =>
+      preloadWeights(weights, env).map(
+        (weight) =>
+          `<link rel="preload" href="${toPageUrl(fontFilePath(family, weight), pageDir, basePath)}" as="font" type="font/woff2" crossorigin>`,
+      ),
+    );
+    const style = `<style>\n${generateFontFaceCss(files, { display: parsed.display, basePath, pageDir })}\n</style>`;
+    $link.before([...preloads, style].join("\n"));
+
+    // 残りのファミリーだけを Google Fonts から読み込む
+    const url = new URL($link.attr("href"), "https://fonts.googleapis.com/");
+    const remaining = url.searchParams
+      .getAll("family")
+      .flatMap((value) => value.split("|"))
+      .filter((spec) => !isLocalFont(spec.split(":")[0].trim()));
+    if (remaining.length === 0) {
+      $link.remove();
+    } else {
+      url.searchParams.delete("family");
+      remaining.forEach((spec) => url.searchParams.append("family", spec));
+      $link.attr("href", url.href);
+    }
+
+    families.push(...local);
+  });
+
+  // Google Fonts を使わなくなったら preconnect / dns-prefetch も削除
+  if ($('link[rel="stylesheet"][href*="fonts.googleapis.com"]').length === 0) {
+    $('link[rel="preconnect"], link[rel="dns-prefetch"]')
+      .filter((i, el) => googleFontsHosts.some((host) => ($(el).attr("href") || "").includes(host)))
+      .remove();
+  }
+
+  ctx.webFonts = families;
+}
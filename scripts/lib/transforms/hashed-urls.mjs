@@ -0,0 +1,99 @@
+/**
+ * LP Template - ハッシュ付きアセットへの参照の変換
+ */
+
+import { rewriteUrl, rewriteSrcset, rewriteCssUrls } from "../manifest.mjs";
+import { parseFragment } from "../dom.mjs";
+import { escapeJsonLd } from "./structured-data.mjs";
+
+const urlAttributes = ["src", "href", "poster"];
+const srcsetAttributes = ["srcset", "imagesrcset"];
+
+/**
+ * HTML内のアセット参照をハッシュ付きファイル名に置き換える
+ * （src/href/srcset、インライン<style>と style属性の url()、サイト内の og:image / twitter:image・JSON-LD のURL）
+ *
+ * ctx.manifest: ハッシュ前のパス → ハッシュ付きパス（未指定なら何もしない）
+ */
+export function rewriteHashedUrls({ $, manifest, env = {}, pageDir = ".", basePath = "" }) {
+  if (!manifest) return;
+  rewriteDocument($, manifest, pageDir, basePath);
+  rewriteShareImages($, manifest, env.OG_URL, basePath);
+
+  // <noscript> の中身はテキストとしてパースされるため、断片として読み直して置き換える
+  $("noscript").each((i, el) => {
+    const $fragment = parseFragment($(el).text());
+    rewriteDocument($fragment, manifest, pageDir, basePath);
+    $(el).text($fragment.html());
+  });
+}
+
+function rewriteDocument($, manifest, pageDir, basePath) {
+  for (const attr of urlAttributes) {
+    $(`[${attr}]`).each((i, el) => {
+      $(el).attr(attr, rewriteUrl($(el).attr(attr), pageDir, manifest, basePath));
+    });
+  }
+
+  for (const attr of srcsetAttributes) {
+    $(`[${attr}]`).each((i, el) => {
+      $(el).attr(attr, rewriteSrcset($(el).attr(attr), pageDir, manifest, basePath));
+    });
+  }
+
+  $("style").each((i, el) => {
+    $(el).text(rewriteCssUrls($(el).text(), pageDir, manifest, basePath));
+  });
+
+  $("[style]").each((i, el) => {
+    $(el).attr("style", rewriteCssUrls($(el).attr("style"), pageDir, manifest, basePath));
+  });
+}
+
+// 絶対URLを、OG_URL と同じオリジンのものだけハッシュ付きファイル名に置き換える（それ以外はそのまま）
+function rewriteSiteUrl(value, origin, manifest, basePath) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return value;
+  }
+  if (url.origin !== origin) return value;
+  const pathname = rewriteUrl(url.pathname, ".", manifest, basePath);
+  if (pathname === url.pathname) return value;
+  url.pathname = pathname;
+  return url.href;
+}
+
+// JSON の文字列の値をすべて置き換える
+function rewriteJsonStrings(value, rewrite) {
+  if (typeof value === "string") return rewrite(value);
+  if (Array.isArray(value)) return value.map((item) => rewriteJsonStrings(item, rewrite));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rewriteJsonStrings(item, rewrite)]));
+  }
+  return value;
+}
+
+// OGP画像・構造化データ（logo / image など）の絶対URLは OG_URL と同じオリジンのものだけ置き換える
+function rewriteShareImages($, manifest, siteUrl, basePath) {
+  if (!siteUrl) return;
+  const origin = new URL(siteUrl).origin;
+  const rewrite = (value) => rewriteSiteUrl(value, origin, manifest, basePath);
+
+  $('meta[property="og:image"], meta[name="twitter:image"]').each((i, el) => {
+    $(el).attr("content", rewrite($(el).attr("content")));
+  });
+
+  // 置き換えたURLが無ければ、手書きのJSON-LDの書式はそのまま残す
+  $('script[type="application/ld+json"]').each((i, el) => {
+    let data;
+    try {
+      data = JSON.parse($(el).text());
+    } catch {
+      return;
+    }
+    const rewritten = rewriteJsonStrings(data, rewrite);
+    if (JSON.stringify(rewritten) !== JSON.stringify(data)) $(el).text(escapeJsonLd(rewritten));
+  });
+}
@@ -0,0 +1,363 @@
+/**
+ * LP Template - 画像の変換
+ *
+ * width/height自動付与 + lazy loading + <picture>変換 + 画面幅ごとの出し分け + 幅ごとの srcset / sizes
+ */
+
+import path from "node:path";
+import { isRelativeUrl, resolveSrcPath, toPageUrl } from "../paths.mjs";
+import { resolveOutputPath } from "../manifest.mjs";
+import { hasDifferentAspectRatio, matchesWidth } from "../art-direction.mjs";
+import { VIEWPORTS } from "../render.mjs";
+import { DEFAULT_PROJECT_CONFIG } from "../project-config.mjs";
+import { rewriteCssImages } from "../css-images.mjs";
+import { PLACEHOLDER_ATTR, PLACEHOLDER_RUNTIME, placeholderStyle } from "../placeholders.mjs";
+
+const convertibleExtensions = [".png", ".jpg", ".jpeg"];
+
+// 高解像度ディスプレイで必要になる最大の倍率
+const MAX_DENSITY = 2;
+
+// 外部URL（https://... や //cdn...）か判定
+function isExternalUrl(url) {
+  return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+// <source> 要素のHTMLを生成
+function sourceTag({ media, srcset, type, width, height }) {
+  const attrs = [
+    media && `media="${media}"`,
+    `srcset="${srcset}"`,
+    type && `type="${type}"`,
+    width && `width="${width}"`,
+    height && `height="${height}"`,
+  ].filter(Boolean);
+  return `<source ${attrs.join(" ")}>`;
+}
+
+// 画面幅ごとの画像の <source>（AVIF / WebP / 元の形式）
+// 元画像とアスペクト比が違う場合は width/height を付けてレイアウトシフトを防ぐ
+function artDirectionSources(baseName, image, pagePath) {
+  return image.variants.flatMap((variant) => {
+    const { media, suffix } = variant;
+    let size = {};
+    if (!variant.width || !image.width) {
+      console.warn(`⚠ ${pagePath}: could not read the size of ${variant.srcPath}, <source> has no width/height (CLS risk)`);
+    } else if (hasDifferentAspectRatio(variant, image)) {
+      size = { width: variant.width, height: variant.height };
+    }
+
+    const variantBase = `${baseName}${suffix}`;
+    return [
+      sourceTag({ media, srcset: `${variantBase}.avif`, type: "image/avif", ...size }),
+      sourceTag({ media, srcset: `${variantBase}.webp`, type: "image/webp", ...size }),
+      sourceTag({ media, srcset: `${variantBase}${path.extname(variant.srcPath)}`, ...size }),
+    ];
+  });
+}
+
+// src/ に書かれた <source media> のうち、アスペクト比が違うのに width/height が無いものを警告
+function warnUnsizedSources($, { artDirection, basePath, pageDir, pagePath }) {
+  const variants = new Map();
+  for (const image of artDirection.values()) {
+    for (const variant of image.variants) {
+      variants.set(variant.srcPath.replace(/\.[^.]+$/, ""), { image, variant });
+    }
+  }
+
+  $("picture source[media][srcset]").each((i, source) => {
+    const $source = $(source);
+    if ($source.attr("width") && $source.attr("height")) return;
+
+    const url = $source.attr("srcset").trim().split(/[\s,]+/)[0];
+    const srcPath = resolveOutputPath(url, pageDir, basePath);
+    const found = srcPath && variants.get(srcPath.replace(/(-\d+w)?\.[^.]+$/, ""));
+    if (found && found.image.width && found.variant.width && hasDifferentAspectRatio(found.variant, found.image)) {
+      console.warn(
+        `⚠ ${pagePath}: <source media="${$source.attr("media")}"> (${found.variant.srcPath}) has a different aspect ratio ` +
+          `but no width/height (CLS risk)`,
+      );
+    }
+  });
+}
+
+// 画像サイズ情報を取得（キーはプロジェクトからの相対パス "src/images/hero.jpg"）
+function findDimensions(dimensions, srcPath) {
+  return dimensions[path.posix.join("src", srcPath)] || null;
+}
+
+// srcset に入れる幅を選ぶ（表示幅 × 最大倍率を超える幅は、それをカバーする1つだけ残す）
+function selectWidths(widths, maxWidth) {
+  if (!maxWidth) return widths;
+  const needed = maxWidth * MAX_DENSITY;
+  const cover = widths.find((w) => w >= needed);
+  return widths.filter((w) => w < needed).concat(cover ? [cover] : []);
+}
+
+// sizes と最大表示幅を決める（data-sizes → 計測結果 → 記述された width → 100vw）
+function resolveSizes($img, srcPath, imageSizes, authoredWidth) {
+  const measured = srcPath && imageSizes.get(srcPath);
+  const width = parseInt(authoredWidth, 10) || null;
+  const dataSizes = $img.attr("data-sizes");
+  $img.removeAttr("data-sizes");
+
+  if (dataSizes) return { sizes: dataSizes, maxWidth: measured ? measured.maxWidth : width };
+  if (measured) return measured;
+  if (width) return { sizes: `${width}px`, maxWidth: width };
+  return { sizes: "100vw", maxWidth: null };
+}
+
+/**
+ * <picture> 内の <source> を幅ごとの候補（w記述子）を持つ srcset にする
+ * 幅ごとの画像（name-640w.avif）が無い <source> はそのまま
+ */
+function applyResponsiveSources($, $img, { authoredWidth, imageVariants, imageSizes, dimensions, basePath, pageDir }) {
+  const srcPath = resolveOutputPath($img.attr("src"), pageDir, basePath);
+  const imgExt = path.extname(srcPath || "");
+  const { sizes, maxWidth } = resolveSizes($img, srcPath, imageSizes, authoredWidth);
+
+  $img.siblings("source[srcset]").each((i, source) => {
+    const $source = $(source);
+    const url = $source.attr("srcset").trim();
+    const match = url.match(/\.(avif|webp)$/i);
+    if (!match || /[\s,]/.test(url)) return;
+
+    const variantPath = resolveOutputPath(url, pageDir, basePath);
+    const key = variantPath && variantPath.slice(0, -match[0].length);
+    const widths = key && imageVariants.get(key)?.[match[1].toLowerCase()];
+    if (!widths || widths.length === 0) return;
+
+    const selected = selectWidths(widths, maxWidth);
+    const candidates = selected.map((w) => `${url.slice(0, -match[0].length)}-${w}w${match[0]} ${w}w`);
+
+    // 幅ごとの画像で足りない場合は元サイズの画像も候補に入れる
+    const original = findDimensions(dimensions, `${key}${imgExt}`);
+    const covered = maxWidth && selected.some((w) => w >= maxWidth * MAX_DENSITY);
+    if (!covered && original && original.width > widths[widths.length - 1]) {
+      candidates.push(`${url} ${original.width}w`);
+    }
+
+    $source.attr("srcset", candidates.join(", "));
+    $source.attr("sizes", sizes);
+  });
+}
+
+// lazy loading の画像に読み込みまでの背景を付ける（data-no-placeholder を付けた要素・その中の画像は除外）
+function applyPlaceholders($, { placeholders, mode = "blur", basePath, pageDir }) {
+  const $optOut = $("[data-no-placeholder]");
+  const excluded = new Set($optOut.find("img").add($optOut.filter("img")).toArray());
+  $optOut.removeAttr("data-no-placeholder");
+  if (mode === "false" || placeholders.size === 0) return;
+
+  let applied = 0;
+  $('img[loading="lazy"][src]').each((i, img) => {
+    if (excluded.has(img)) return;
+    const $img = $(img);
+    const placeholder = placeholders.get(resolveOutputPath($img.attr("src"), pageDir, basePath));
+    if (!placeholder) return;
+
+    const style = ($img.attr("style") || "").trim().replace(/;$/, "");
+    const background = placeholderStyle(placeholder, mode);
+    const declarations = Object.entries(background)
+      .map(([property, value]) => `${property}:${value}`)
+      .join(";");
+    $img.attr("style", style ? `${style};${declarations}` : declarations);
+    $img.attr(PLACEHOLDER_ATTR, Object.keys(background).join(" "));
+    applied++;
+  });
+
+  if (applied > 0) {
+    $("head").append(`<script>${PLACEHOLDER_RUNTIME}</script>`);
+  }
+}
+
+/**
+ * ctx.dimensions: 出力した画像のサイズ（lib/image-optimizer.mjs、"src/images/hero.jpg" → { width, height }）
+ * ctx.artDirection: 画面幅ごとの画像を持つ画像（元画像の src/ からの相対パス → lib/art-direction.mjs の検出結果）
+ * ctx.pageDir: ページの src/ からの相対ディレクトリ
+ * ctx.imageVariants: 幅ごとの画像（"images/hero" → { avif: [320, 640], webp: [320, 640] }）
+ * ctx.imageSizes: 計測した表示幅（src/ からの相対パス → { sizes, maxWidth }）
+ * ctx.imagePriority: LCP画像・ファーストビューの画像（src/ からの相対パス、計測できなければ null）
+ *   null の場合は最初の画像をファーストビューとみなす
+ * ctx.placeholders: lazy loading の画像のプレースホルダー（src/ からの相対パス → lib/placeholders.mjs）
+ */
+export function processImages({
+  $,
+  dimensions = {},
+  basePath = "",
+  artDirection = new Map(),
+  pageDir = ".",
+  pagePath = "index.html",
+  imageVariants = new Map(),
+  imageSizes = new Map(),
+  imagePriority = null,
+  placeholders = new Map(),
+  env = {},
+}) {
+  // BASE_PATHを正規化（末尾スラッシュを除去）
+  const prefix = basePath ? basePath.replace(/\/$/, "") : "";
+  const responsiveOptions = { imageVariants, imageSizes, dimensions, basePath: prefix, pageDir };
+  const lcpImages = new Set(imagePriority ? imagePriority.lcp.values() : []);
+
+  // ファーストビューの画像は lazy loading にしない、LCP画像は優先して読み込む
+  const applyPriority = ($img, srcPath, isFirst) => {
+    if (imagePriority ? imagePriority.aboveFold.has(srcPath) || lcpImages.has(srcPath) : isFirst) {
+      if (imagePriority && $img.attr("loading") === "lazy") $img.removeAttr("loading");
+    } else if (!$img.attr("loading")) {
+      $img.attr("loading", "lazy");
+    }
+    if (lcpImages.has(srcPath)) {
+      $img.attr("fetchpriority", "high");
+    }
+  };
+
+  warnUnsizedSources($, { artDirection, basePath: prefix, pageDir, pagePath });
+
+  // 既存の<picture>内の<img>は対象外（ネスト防止）、srcset と読み込みの優先度のみ設定
+  $("picture img[src]").each((i, img) => {
+    const $img = $(img);
+    if (imagePriority) {
+      const srcPath = resolveOutputPath($img.attr("src"), pageDir, prefix);
+      if (imagePriority.aboveFold.has(srcPath) || lcpImages.has(srcPath)) applyPriority($img, srcPath, false);
+    }
+    applyResponsiveSources($, $img, { ...responsiveOptions, authoredWidth: $img.attr("width") });
+  });
+
+  const $images = $("img[src]").filter((i, img) => $(img).closest("picture").length === 0);
+
+  $images.each((index, img) => {
+    const $img = $(img);
+    const src = $img.attr("src");
+    const isFirst = index === 0;
+    const authoredWidth = $img.attr("width");
+
+    // 相対パスはページの位置から src/ 基準のパスに解決し、BASE_PATHを適用
+    const isLocal = isRelativeUrl(src);
+    const srcPath = isLocal ? resolveSrcPath(src, pageDir) : src.replace(/^\//, "");
+    const toUrl = (p) => (isLocal ? toPageUrl(p, pageDir, prefix) : p);
+
+    // width/height を追加
+    if (!$img.attr("width") || !$img.attr("height")) {
+      const dims = findDimensions(dimensions, srcPath);
+      if (dims) {
+        const { width, height } = dims;
+        if (!$img.attr("width")) $img.attr("width", String(width));
+        if (!$img.attr("height")) $img.attr("height", String(height));
+      }
+    }
+
+    // lazy loading を追加（ファーストビューの画像以外）
+    applyPriority($img, srcPath, isFirst);
+
+    const srcUrl = isLocal ? toUrl(srcPath) : src;
+    $img.attr("src", srcUrl);
+
+    // <picture>変換（サイト内のPNG/JPG/JPEGの場合。外部URLの画像にはAVIF/WebPが無い）
+    const ext = path.extname(src).toLowerCase();
+    if (!convertibleExtensions.includes(ext) || isExternalUrl(src)) return;
+
+    const baseName = srcUrl.replace(/\.(png|jpe?g)$/i, "");
+    const sources = [];
+
+    // 画面幅ごとの画像がある場合: 出し分け（-sp / -tab など）
+    if (artDirection.has(srcPath)) {
+      sources.push(...artDirectionSources(baseName, artDirection.get(srcPath), pagePath));
+    }
+
+    sources.push(
+      sourceTag({ srcset: `${baseName}.avif`, type: "image/avif" }),
+      sourceTag({ srcset: `${baseName}.webp`, type: "image/webp" }),
+    );
+
+    $img.wrap("<picture></picture>");
+    $img.before(sources.join(""));
+    applyResponsiveSources($, $img, { ...responsiveOptions, authoredWidth });
+  });
+
+  applyPlaceholders($, { placeholders, mode: env.IMAGE_PLACEHOLDER, basePath: prefix, pageDir });
+}
+
+/**
+ * インライン <style> の背景画像を image-set()（AVIF / WebP / 元画像）に書き換え
+ * src/style.css はビルドのCSS処理で同じように書き換える
+ */
+export function processStyleImages({ $, basePath = "", pageDir = ".", artDirection = new Map() }) {
+  const prefix = basePath ? basePath.replace(/\/$/, "") : "";
+
+  $("style").each((i, style) => {
+    const $style = $(style);
+    const { css, count } = rewriteCssImages($style.html(), { fromDir: pageDir, basePath: prefix, artDirection });
+    if (count > 0) $style.text(css);
+  });
+}
+
+// <source> の srcset を preload 用に取得（指定の画面幅で選ばれる AVIF か、形式指定なしの <source>）
+function pickSource($, $img, width) {
+  const source = $img
+    .siblings("source[srcset]")
+    .toArray()
+    .find((el) => matchesWidth($(el).attr("media"), width) && ["image/avif", undefined].includes($(el).attr("type")));
+  if (!source) {
+    return { imagesrcset: $img.attr("srcset") || $img.attr("src"), imagesizes: $img.attr("sizes") };
+  }
+  return { imagesrcset: $(source).attr("srcset"), imagesizes: $(source).attr("sizes"), type: $(source).attr("type") };
+}
+
+/**
+ * LCP画像の <link rel="preload" as="image"> を <head> の先頭に追加
+ * （モバイルとデスクトップでLCP画像・選ばれる <source> が違う場合は media 付きで2つ）
+ *
+ * ctx.imagePriority: processImages と同じ
+ * ctx.config: ページに適用する lp.config.mjs の設定（breakpoint: media のSP/PCの境目）
+ */
+export function preloadLcpImage({
+  $,
+  imagePriority = null,
+  basePath = "",
+  pageDir = ".",
+  config = DEFAULT_PROJECT_CONFIG,
+}) {
+  if (!imagePriority || imagePriority.lcp.size === 0) return;
+
+  const { breakpoint } = config;
+
+  const prefix = basePath ? basePath.replace(/\/$/, "") : "";
+  const findImage = (srcPath) =>
+    $("img[src]")
+      .filter((i, img) => resolveOutputPath($(img).attr("src"), pageDir, prefix) === srcPath)
+      .first();
+
+  const preloads = VIEWPORTS.map((viewport) => {
+    const srcPath = imagePriority.lcp.get(viewport.name);
+    const $img = srcPath ? findImage(srcPath) : null;
+    if (!$img || $img.length === 0) return null;
+    const media = viewport.width <= breakpoint ? `(max-width: ${breakpoint}px)` : `(min-width: ${breakpoint + 1}px)`;
+    return { ...pickSource($, $img, viewport.width), media };
+  }).filter(Boolean);
+
+  // 全ビューポートで同じなら media は付けない
+  const unique = preloads.filter(
+    (p, i) => preloads.findIndex((q) => q.imagesrcset === p.imagesrcset && q.imagesizes === p.imagesizes) === i,
+  );
+  const links = unique.map((preload) => {
+    const attrs = [
+      `rel="preload"`,
+      `as="image"`,
+      `imagesrcset="${preload.imagesrcset}"`,
+      preload.imagesizes && `imagesizes="${preload.imagesizes}"`,
+      preload.type && `type="${preload.type}"`,
+      unique.length > 1 && `media="${preload.media}"`,
+      `fetchpriority="high"`,
+    ].filter(Boolean);
+    return `<link ${attrs.join(" ")}>`;
+  });
+  if (links.length === 0) return;
+
+  // 文字コード指定より後、CSSより前
+  const $charset = $("head meta[charset]").first();
+  if ($charset.length > 0) {
+    $charset.after(links.join(""));
+  } else {
+    $("head").prepend(links.join(""));
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * LP Template - タイトル・OGP/metaタグの変換
+ */
+
+import { appendToHead } from "../dom.mjs";
+
+// HTMLエスケープ
+export function escapeHtml(str) {
+  if (!str) return "";
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+// OGP/metaタグを生成
+export function generateMetaTags(env) {
+  const tags = [];
+
+  // 検索エンジンに登録させない（staging モードでは既定で有効）
+  if (env.NOINDEX === "true") {
+    tags.push(`<meta name="robots" content="noindex, nofollow">`);
+  }
+
+  if (env.SITE_DESCRIPTION) {
+    tags.push(`<meta name="description" content="${escapeHtml(env.SITE_DESCRIPTION)}">`);
+  }
+
+  tags.push(`<meta property="og:type" content="${escapeHtml(env.OG_TYPE || 'website')}">`);
+
+  if (env.SITE_TITLE) {
+    tags.push(`<meta property="og:title" content="${escapeHtml(env.SITE_TITLE)}">`);
+  }
+
+  if (env.SITE_DESCRIPTION) {
+    tags.push(`<meta property="og:description" content="${escapeHtml(env.SITE_DESCRIPTION)}">`);
+  }
+
+  if (env.OG_URL) {
+    tags.push(`<meta property="og:url" content="${escapeHtml(env.OG_URL)}">`);
+  }
+
+  if (env.OG_IMAGE_URL) {
+    tags.push(`<meta property="og:image" content="${escapeHtml(env.OG_IMAGE_URL)}">`);
+    tags.push(`<meta property="og:image:width" content="${env.OG_IMAGE_WIDTH || '1200'}">`);
+    tags.push(`<meta property="og:image:height" content="${env.OG_IMAGE_HEIGHT || '630'}">`);
+  }
+
+  if (env.OG_SITE_NAME) {
+    tags.push(`<meta property="og:site_name" content="${escapeHtml(env.OG_SITE_NAME)}">`);
+  }
+
+  tags.push(`<meta property="og:locale" content="${env.OG_LOCALE || 'ja_JP'}">`);
+
+  // Twitter Card
+  tags.push(`<meta name="twitter:card" content="${env.TWITTER_CARD || 'summary_large_image'}">`);
+
+  if (env.TWITTER_SITE) {
+    tags.push(`<meta name="twitter:site" content="${escapeHtml(env.TWITTER_SITE)}">`);
+  }
+
+  if (env.SITE_TITLE) {
+    tags.push(`<meta name="twitter:title" content="${escapeHtml(env.SITE_TITLE)}">`);
+  }
+
+  if (env.SITE_DESCRIPTION) {
+    tags.push(`<meta name="twitter:description" content="${escapeHtml(env.SITE_DESCRIPTION)}">`);
+  }
+
+  if (env.OG_IMAGE_URL) {
+    tags.push(`<meta name="twitter:image" content="${escapeHtml(env.OG_IMAGE_URL)}">`);
+  }
+
+  return tags.length > 0 ? `<!-- OGP -->\n${tags.join("\n")}` : "";
+}
+
+// タイトルを更新
+export function updateTitle({ $, env }) {
+  if (!env.SITE_TITLE) return;
+  if ($("title").length === 0) {
+    $("head").prepend("<title></title>");
+  }
+  $("title").first().text(env.SITE_TITLE);
+}
+
+// OGP/metaタグを注入（ページに同じ name/property のタグがあれば置き換える）
+export function injectMetaTags({ $, env }) {
+  const metaTags = generateMetaTags(env);
+  const $tags = $("<div>").html(metaTags).children("meta");
+
+  $tags.each((i, tag) => {
+    const name = $(tag).attr("name");
+    const property = $(tag).attr("property");
+    if (name) $(`head meta[name="${name}"]`).remove();
+    if (property) $(`head meta[property="${property}"]`).remove();
+  });
+
+  appendToHead($, metaTags);
+}
@@ -0,0 +1,211 @@
+/**
+ * LP Template - 構造化データ(JSON-LD)の変換
+ */
+
+import { appendToHead } from "../dom.mjs";
+
+// JSON-LD用のエスケープ処理（XSS対策）
+export function escapeJsonLd(obj) {
+  const json = JSON.stringify(obj);
+  return json.replace(/<\//g, "<\\/");
+}
+
+// 単一タイプの構造化データを生成
+function generateSingleStructuredData(type, env, faqItems = []) {
+  switch (type.toLowerCase().trim()) {
+    case "event": {
+      const name = env.EVENT_NAME || env.SITE_TITLE;
+      if (!name) {
+        console.warn("Event structured data requires EVENT_NAME or SITE_TITLE");
+        return null;
+      }
+      return {
+        "@context": "https://schema.org",
+        "@type": "Event",
+        name,
+        ...(env.EVENT_DESCRIPTION || env.SITE_DESCRIPTION
+          ? { description: env.EVENT_DESCRIPTION || env.SITE_DESCRIPTION }
+          : {}),
+        ...(env.EVENT_IMAGE_URL || env.OG_IMAGE_URL
+          ? { image: env.EVENT_IMAGE_URL || env.OG_IMAGE_URL }
+          : {}),
+        ...(env.EVENT_START_DATE && { startDate: env.EVENT_START_DATE }),
+        ...(env.EVENT_END_DATE && { endDate: env.EVENT_END_DATE }),
+        ...((env.EVENT_LOCATION_NAME || env.EVENT_LOCATION_ADDRESS) && {
+          location: {
+            "@type": "Place",
+            ...(env.EVENT_LOCATION_NAME && { name: env.EVENT_LOCATION_NAME }),
+            ...(env.EVENT_LOCATION_ADDRESS && { address: env.EVENT_LOCATION_ADDRESS }),
+          },
+        }),
+        ...(env.EVENT_OFFER_PRICE && {
+          offers: {
+            "@type": "Offer",
+            price: env.EVENT_OFFER_PRICE,
+            priceCurrency: env.EVENT_OFFER_CURRENCY || "JPY",
+            availability: "https://schema.org/InStock",
+            ...(env.EVENT_OFFER_URL || env.OG_URL
+              ? { url: env.EVENT_OFFER_URL || env.OG_URL }
+              : {}),
+          },
+        }),
+        ...(env.EVENT_PERFORMER && {
+          performer: {
+            "@type": "Person",
+            name: env.EVENT_PERFORMER,
+          },
+        }),
+        ...(env.OG_SITE_NAME && {
+          organizer: {
+            "@type": "Organization",
+            name: env.OG_SITE_NAME,
+          },
+        }),
+      };
+    }
+
+    case "product": {
+      const name = env.PRODUCT_NAME || env.SITE_TITLE;
+      if (!name) {
+        console.warn("Product structured data requires PRODUCT_NAME or SITE_TITLE");
+        return null;
+      }
+      return {
+        "@context": "https://schema.org",
+        "@type": "Product",
+        name,
+        ...(env.SITE_DESCRIPTION && { description: env.SITE_DESCRIPTION }),
+        ...(env.OG_IMAGE_URL && { image: env.OG_IMAGE_URL }),
+        ...(env.PRODUCT_BRAND && { brand: env.PRODUCT_BRAND }),
+        ...(env.PRODUCT_PRICE && {
+          offers: {
+            "@type": "Offer",
+            price: env.PRODUCT_PRICE,
+            priceCurrency: env.PRODUCT_CURRENCY || "JPY",
+            availability: env.PRODUCT_AVAILABILITY || "https://schema.org/InStock",
+          },
+        }),
+      };
+    }
+
+    case "localbusiness": {
+      const name = env.BUSINESS_NAME || env.OG_SITE_NAME;
+      if (!name) {
+        console.warn("LocalBusiness structured data requires BUSINESS_NAME or OG_SITE_NAME");
+        return null;
+      }
+      const address = env.BUSINESS_ADDRESS;
+      const city = env.BUSINESS_CITY;
+      return {
+        "@context": "https://schema.org",
+        "@type": env.BUSINESS_TYPE || "LocalBusiness",
+        name,
+        ...(env.SITE_DESCRIPTION && { description: env.SITE_DESCRIPTION }),
+        ...(env.BUSINESS_IMAGE_URL || env.OG_IMAGE_URL
+          ? { image: env.BUSINESS_IMAGE_URL || env.OG_IMAGE_URL }
+          : {}),
+        ...(env.BUSINESS_PHONE && { telephone: env.BUSINESS_PHONE }),
+        ...(env.BUSINESS_URL || env.OG_URL
+          ? { url: env.BUSINESS_URL || env.OG_URL }
+          : {}),
+        ...(env.BUSINESS_PRICE_RANGE && { priceRange: env.BUSINESS_PRICE_RANGE }),
+        // addressとcityが両方存在する場合のみPostalAddressを生成
+        ...(address && city && {
+          address: {
+            "@type": "PostalAddress",
+            streetAddress: address,
+            addressLocality: city,
+            ...(env.BUSINESS_REGION && { addressRegion: env.BUSINESS_REGION }),
+            ...(env.BUSINESS_POSTAL_CODE && { postalCode: env.BUSINESS_POSTAL_CODE }),
+            addressCountry: env.BUSINESS_COUNTRY || "JP",
+          },
+        }),
+      };
+    }
+
+    case "organization": {
+      const name = env.ORG_NAME || env.OG_SITE_NAME;
+      const url = env.ORG_URL || env.OG_URL;
+      if (!name || !url) {
+        console.warn("Organization structured data requires name and url");
+        return null;
+      }
+      return {
+        "@context": "https://schema.org",
+        "@type": "Organization",
+        name,
+        url,
+        ...(env.ORG_LOGO_URL || env.OG_IMAGE_URL
+          ? { logo: env.ORG_LOGO_URL || env.OG_IMAGE_URL }
+          : {}),
+        ...(env.ORG_DESCRIPTION || env.SITE_DESCRIPTION
+          ? { description: env.ORG_DESCRIPTION || env.SITE_DESCRIPTION }
+          : {}),
+        ...(env.ORG_EMAIL && { email: env.ORG_EMAIL }),
+        ...(env.ORG_PHONE && { telephone: env.ORG_PHONE }),
+      };
+    }
+
+    case "faqpage": {
+      if (faqItems.length > 0) {
+        return {
+          "@context": "https://schema.org",
+          "@type": "FAQPage",
+          mainEntity: faqItems.map(({ question, answer }) => ({
+            "@type": "Question",
+            name: question,
+            acceptedAnswer: {
+              "@type": "Answer",
+              text: answer,
+            },
+          })),
+        };
+      }
+      return null;
+    }
+
+    default:
+      console.warn(`Unknown structured data type: ${type}`);
+      return null;
+  }
+}
+
+// 構造化データを生成（複数タイプ対応）
+export function generateStructuredData(env, faqItems = []) {
+  const typeString = env.STRUCTURED_DATA_TYPE;
+  if (!typeString) return "";
+
+  // カンマ区切りで分割して複数タイプに対応
+  const types = typeString.split(",").map((t) => t.trim()).filter(Boolean);
+  if (types.length === 0) return "";
+
+  const scripts = [];
+
+  for (const type of types) {
+    const data = generateSingleStructuredData(type, env, faqItems);
+    if (data) {
+      scripts.push(`<script type="application/ld+json">${escapeJsonLd(data)}</script>`);
+    }
+  }
+
+  return scripts.join("\n");
+}
+
+
+// FAQをHTMLから抽出（<details> 内の <summary> を質問、最初の <p> を回答とする）
+export function extractFaqItems($) {
+  const faqItems = [];
+  $("summary").each((i, summary) => {
+    const question = $(summary).text().trim();
+    const answer = $(summary).parent().find("p").first().text().trim();
+    if (question && answer) {
+      faqItems.push({ question, answer });
+    }
+  });
+  return faqItems;
+}
+
+// 構造化データを注入
+export function injectStructuredData({ $, env }) {
+  appendToHead($, generateStructuredData(env, extractFaqItems($)));
+}
@@ -0,0 +1,74 @@
+/**
+ * LP Template - 設定チェック
+ *
+ * .env（モードごとの .env.<mode> などを重ねた結果）を lib/config.mjs のスキーマで検証
+ * - 形式の誤り（IDの形式・URL・日付・選択肢など）
+ * - 自動で正規化される値（ビルドでは正規化後の値を使う）
+ * - 知らないキー（タイプミスの候補）・組み合わせの問題
+ * - lp.config.mjs の項目名・型（lib/project-config.mjs）
+ *
+ * 使用方法:
+ *   node scripts/validate-config.mjs                  # production
+ *   node scripts/validate-config.mjs --mode staging   # staging
+ */
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadEnv, parseModeArgs } from "./lib/env.mjs";
+import { validateConfig, formatIssue } from "./lib/config.mjs";
+import { loadProjectConfig, validateProjectConfig, PROJECT_CONFIG_FILE } from "./lib/project-config.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, "..");
+
+async function validateConfigFiles() {
+  const { mode } = parseModeArgs(process.argv.slice(2));
+  console.log(`Validating config (${mode})...\n`);
+
+  const loaded = await loadEnv(projectRoot, { mode });
+  const { errors, warnings, changes } = validateConfig(loaded);
+  const projectErrors = validateProjectConfig(await loadProjectConfig(projectRoot)).errors;
+  errors.push(...projectErrors.map((issue) => ({ ...issue, key: `${PROJECT_CONFIG_FILE}: ${issue.key}` })));
+
+  console.log("=== 設定チェック結果 ===\n");
+
+  if (errors.length === 0 && warnings.length === 0 && changes.length === 0) {
+    console.log("✓ 問題は見つかりませんでした\n");
+  }
+
+  if (errors.length > 0) {
+    console.log(`✗ エラー (${errors.length}件): ビルドできません\n`);
+    errors.forEach((issue, i) => console.log(`  ${i + 1}. ${formatIssue(issue)}`));
+    console.log();
+  }
+
+  if (changes.length > 0) {
+    console.log(`⚠ 自動で修正される値 (${changes.length}件): .env も修正してください\n`);
+    changes.forEach(({ key, from, to }, i) => console.log(`  ${i + 1}. ${key}: ${from || "(空)"} → ${to}`));
+    console.log();
+  }
+
+  if (warnings.length > 0) {
+    console.log(`⚠ 警告 (${warnings.length}件):\n`);
+    warnings.forEach((issue, i) => console.log(`  ${i + 1}. ${formatIssue(issue)}`));
+    console.log();
+  }
+
+  // サマリー
+  const configured = Object.entries(loaded).filter(([key, value]) => key !== "MODE" && value).length;
+  console.log("=== サマリー ===\n");
+  console.log(`  モード: ${mode}`);
+  console.log(`  設定済みのキー: ${configured}個`);
+  console.log(`  エラー: ${errors.length}件`);
+  console.log(`  自動修正: ${changes.length}件`);
+  console.log(`  警告: ${warnings.length}件`);
+  console.log();
+
+  if (errors.length > 0) process.exit(1);
+}
+
+validateConfigFiles().catch((error) => {
+  console.error("Config validation failed:", error.message);
+  process.exit(1);
+});
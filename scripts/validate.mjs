@@ -6,10 +6,11 @@
 
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { loadEnv } from "./inject-meta.mjs";
+import { loadEnv } from "./lib/env.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, "..");
 
 const API_ENDPOINT = "https://www.googleapis.com/pagespeedonline/v5/runPagespeed";
 
@@ -33,7 +34,7 @@ async function runPageSpeedTest(url, strategy = "mobile") {
   });
 
   // API キーがあれば追加
-  const env = await loadEnv();
+  const env = await loadEnv(projectRoot);
   if (env.PAGESPEED_API_KEY) {
     params.append("key", env.PAGESPEED_API_KEY);
   }
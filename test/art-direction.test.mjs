@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import {
+  findArtDirectedImages,
+  hasDifferentAspectRatio,
+  parseArtDirection,
+  sortArtDirection,
+} from "../scripts/lib/art-direction.mjs";
+
+test("parseArtDirection: 空の場合は -sp のみ（境目は breakpoint）", () => {
+  assert.deepEqual(parseArtDirection(""), [{ suffix: "-sp", media: "(max-width: 767px)" }]);
+  assert.deepEqual(parseArtDirection(undefined, 1023), [{ suffix: "-sp", media: "(max-width: 1023px)" }]);
+});
+
+test("parseArtDirection: ; 区切りのルールを読み、先頭の - を補う", () => {
+  const rules = parseArtDirection("-sp=(max-width: 767px); tab=(min-width: 768px) and (max-width: 1023px);");
+  assert.deepEqual(rules, [
+    { suffix: "-sp", media: "(max-width: 767px)" },
+    { suffix: "-tab", media: "(min-width: 768px) and (max-width: 1023px)" },
+  ]);
+});
+
+test("parseArtDirection: = のないエントリはエラー", () => {
+  assert.throws(() => parseArtDirection("-sp"), /Invalid IMAGE_ART_DIRECTION entry: -sp/);
+});
+
+test("sortArtDirection: 範囲が狭いルールを先に、同じなら min-width が大きいものを先に", () => {
+  const rules = parseArtDirection(
+    "-sp=(max-width: 767px); -tab=(min-width: 768px) and (max-width: 1023px); -pc=(min-width: 768px); -wide=(min-width: 1600px)",
+  );
+  assert.deepEqual(
+    sortArtDirection(rules).map((rule) => rule.suffix),
+    ["-tab", "-sp", "-wide", "-pc"],
+  );
+});
+
+test("findArtDirectedImages: 元画像のある -sp 画像だけを検出する", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-art-"));
+  try {
+    await fs.mkdir(path.join(dir, "images"));
+    const image = (width, height) => sharp({ create: { width, height, channels: 3, background: "#888" } });
+    await image(1200, 600).jpeg().toFile(path.join(dir, "images/hero.jpg"));
+    await image(750, 1000).png().toFile(path.join(dir, "images/hero-sp.png"));
+    await image(750, 1000).png().toFile(path.join(dir, "images/orphan-sp.png"));
+
+    const found = await findArtDirectedImages(dir, sortArtDirection(parseArtDirection("")));
+    assert.deepEqual([...found.keys()], ["images/hero.jpg"]);
+
+    const hero = found.get("images/hero.jpg");
+    assert.equal(hero.width, 1200);
+    assert.deepEqual(hero.variants, [
+      { suffix: "-sp", media: "(max-width: 767px)", srcPath: "images/hero-sp.png", width: 750, height: 1000 },
+    ]);
+    assert.equal(hasDifferentAspectRatio(hero, hero.variants[0]), true);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { buildAssetGraph } from "../scripts/lib/asset-graph.mjs";
+
+// src/ の代わりの一時ディレクトリ（ファイル名 → 内容）
+async function createSrc(t, files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-assets-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+    await fs.writeFile(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test("buildAssetGraph: ページ・パーシャル・CSS・JSからの参照をたどる", async (t) => {
+  const dir = await createSrc(t, {
+    "index.html":
+      '<!-- @include partials/header.html -->\n<img src="images/hero.jpg"><div data-bg="images/bg.png"></div>',
+    "partials/header.html": '<link rel="stylesheet" href="css/main.css"><script src="js/main.js"></script>',
+    "campaign/index.html": '<style>.a{background:url(../images/campaign.png)}</style><img src="../images/missing.png">',
+    "css/main.css": '@import "base.css"; .b{background:url(../images/from-css.png)}',
+    "css/base.css": ".c{background:url(../images/from-import.png)}",
+    "js/main.js": 'const icon = "images/from-js.svg"; const label = "not-a-file.txt";',
+    "images/hero.jpg": "hero",
+    "images/hero.avif": "hero avif",
+    "images/hero-640w.webp": "hero webp",
+    "images/bg.png": "bg",
+    "images/campaign.png": "campaign",
+    "images/from-css.png": "css",
+    "images/from-import.png": "import",
+    "images/from-js.svg": "js",
+    "images/unused.png": "unused",
+    "images/unused-copy.png": "unused",
+  });
+
+  const graph = await buildAssetGraph(dir, { entries: [] });
+  assert.deepEqual(graph.unused, ["images/unused-copy.png", "images/unused.png"]);
+  assert.deepEqual(graph.duplicates, [["images/unused-copy.png", "images/unused.png"]]);
+  assert.ok(graph.used.has("images/hero-640w.webp"));
+  assert.deepEqual([...graph.references.get("images/missing.png")], ["campaign/index.html"]);
+  assert.deepEqual([...graph.references.get("images/from-import.png")], ["css/base.css"]);
+});
+
+test("buildAssetGraph: 画面幅ごとの画像と entries は参照が無くても使用中", async (t) => {
+  const dir = await createSrc(t, {
+    "index.html": '<img src="images/hero.jpg">',
+    "images/hero.jpg": "hero",
+    "images/hero-sp.jpg": "hero sp",
+    "images/hero-sp.webp": "hero sp webp",
+    "images/favicon.png": "favicon",
+  });
+  const artDirection = new Map([["images/hero.jpg", { variants: [{ srcPath: "images/hero-sp.jpg" }] }]]);
+
+  const graph = await buildAssetGraph(dir, { artDirection, entries: ["images/favicon.png"] });
+  assert.deepEqual(graph.unused, []);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createBuildCache, hashInputs, pruneCacheDir } from "../scripts/lib/build-cache.mjs";
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "lp-build-cache-"));
+}
+
+// エントリの最終使用日時（meta.json の更新日時）を days 日前にする
+async function age(entryDir, days) {
+  const time = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  await fs.utimes(path.join(entryDir, "meta.json"), time, time);
+}
+
+// createBuildCache() のエントリのディレクトリ（namespace に1つだけ）
+async function entryDir(cacheDir, namespace) {
+  const [entry] = await fs.readdir(path.join(cacheDir, namespace));
+  return path.join(cacheDir, namespace, entry);
+}
+
+test("hashInputs: Buffer・文字列・値の順番と区切りを区別する", () => {
+  assert.equal(hashInputs("a", { b: 1 }), hashInputs("a", { b: 1 }));
+  assert.notEqual(hashInputs("ab", "c"), hashInputs("a", "bc"));
+  assert.notEqual(hashInputs(Buffer.from("a")), hashInputs("b"));
+});
+
+test("createBuildCache: 保存した data とファイルを取得できる", async (t) => {
+  const dir = await tempDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const cache = createBuildCache(dir, { version: "1" });
+
+  assert.equal(await cache.get("js", "key"), null);
+  await cache.set("js", "key", { data: { code: 1 }, files: new Map([["script.min.js", "code"]]) });
+  const entry = await cache.get("js", "key");
+  assert.deepEqual(entry.data, { code: 1 });
+  assert.equal(entry.files.get("script.min.js").toString(), "code");
+});
+
+test("createBuildCache: version が変わると前回の結果を使わない", async (t) => {
+  const dir = await tempDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await createBuildCache(dir, { version: "1" }).set("js", "key", { data: 1 });
+
+  assert.equal(await createBuildCache(dir, { version: "2" }).get("js", "key"), null);
+});
+
+test("prune: 一定期間使われていないエントリだけを削除し、使ったエントリは残す", async (t) => {
+  const dir = await tempDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const cache = createBuildCache(dir);
+  await cache.set("fonts", "old", { data: "old" });
+  await cache.set("og-images", "used", { data: "used" });
+  await age(await entryDir(dir, "fonts"), 40);
+  await age(await entryDir(dir, "og-images"), 40);
+
+  // 取得すると最終使用日時が更新される
+  await cache.get("og-images", "used");
+  assert.equal(await cache.prune(), 1);
+  assert.equal(await cache.get("fonts", "old"), null);
+  assert.equal((await cache.get("og-images", "used")).data, "used");
+});
+
+test("pruneCacheDir: 1階層のキャッシュ（.cache/images/）", async (t) => {
+  const dir = await tempDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  for (const name of ["recent", "stale"]) {
+    await fs.mkdir(path.join(dir, name));
+    await fs.writeFile(path.join(dir, name, "meta.json"), "{}");
+  }
+  await age(path.join(dir, "stale"), 40);
+
+  assert.equal(await pruneCacheDir(dir), 1);
+  assert.deepEqual(await fs.readdir(dir), ["recent"]);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { extractPageOverrides, getPageEnv, loadBuildConfig } from "../scripts/lib/build-config.mjs";
+import { parseHtml } from "../scripts/lib/dom.mjs";
+
+test("extractPageOverrides: <!-- @page --> の設定を正規化して取り出し、コメントを削除", () => {
+  const $ = parseHtml("<head><!-- @page\nNOINDEX=yes\nOG_LOCALE=en-us\n--><title>Thanks</title></head>");
+  assert.deepEqual(extractPageOverrides($, "thanks.html"), { NOINDEX: "true", OG_LOCALE: "en_US" });
+  assert.doesNotMatch($.html(), /@page/);
+});
+
+test("extractPageOverrides: 形式の誤りはエラー", () => {
+  const $ = parseHtml("<!-- @page GA_MEASUREMENT_ID=UA-1 -->");
+  assert.throws(() => extractPageOverrides($, "index.html"), /Invalid @page setting: GA_MEASUREMENT_ID=UA-1/);
+});
+
+test("getPageEnv: 下層ページは自身の <title>・description とページのURLを使い、@page を優先", () => {
+  const env = { SITE_TITLE: "LP", SITE_DESCRIPTION: "説明", OG_URL: "https://example.com/lp" };
+  const $ = parseHtml('<head><title>お申し込み完了</title><meta name="description" content="完了"></head>');
+
+  assert.deepEqual(getPageEnv(env, "index.html", $), env);
+  assert.deepEqual(getPageEnv(env, "thanks/index.html", $, { NOINDEX: "true" }), {
+    SITE_TITLE: "お申し込み完了",
+    SITE_DESCRIPTION: "完了",
+    OG_URL: "https://example.com/lp/thanks/",
+    NOINDEX: "true",
+  });
+});
+
+test("loadBuildConfig: .env と lp.config.mjs を検証し、誤りがあれば INVALID_CONFIG", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-build-config-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  const error = t.mock.method(console, "error", () => {});
+  await fs.writeFile(path.join(dir, ".env"), "BASE_PATH=lp\n");
+  await fs.writeFile(path.join(dir, "lp.config.mjs"), "export default { breakpoint: 1023 };\n");
+
+  const { env, config } = await loadBuildConfig(dir, { mode: "production" });
+  assert.equal(env.BASE_PATH, "/lp");
+  assert.equal(env.MODE, "production");
+  assert.equal(config.breakpoint, 1023);
+
+  await fs.writeFile(path.join(dir, ".env.staging"), "OG_URL=example.com\n");
+  await assert.rejects(() => loadBuildConfig(dir, { mode: "staging" }), { code: "INVALID_CONFIG" });
+  assert.match(error.mock.calls[0].arguments[0], /^✗ OG_URL=example\.com expected an absolute URL/);
+});
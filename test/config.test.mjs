@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatIssue, suggestKey, validateConfig } from "../scripts/lib/config.mjs";
+
+test("validateConfig: 表記の揺れを正規化し、変わった値を changes に記録", () => {
+  const { env, errors, changes } = validateConfig({
+    BASE_PATH: "lp/",
+    NOINDEX: "yes",
+    GA_MEASUREMENT_ID: "g-abc123",
+    OG_LOCALE: "ja-jp",
+    THEME_COLOR: "1a3a6b",
+    EVENT_START_DATE: "2025/4/1 10:00",
+    PRODUCT_PRICE: "3,000",
+    PRODUCT_AVAILABILITY: "instock",
+    FAVICON_SRC: "/src/images/favicon.png",
+    STRUCTURED_DATA_TYPE: "event, faqpage",
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(env.BASE_PATH, "/lp");
+  assert.equal(env.NOINDEX, "true");
+  assert.equal(env.GA_MEASUREMENT_ID, "G-ABC123");
+  assert.equal(env.OG_LOCALE, "ja_JP");
+  assert.equal(env.THEME_COLOR, "#1a3a6b");
+  assert.equal(env.EVENT_START_DATE, "2025-04-01T10:00");
+  assert.equal(env.PRODUCT_PRICE, "3000");
+  assert.equal(env.PRODUCT_AVAILABILITY, "https://schema.org/InStock");
+  assert.equal(env.FAVICON_SRC, "images/favicon.png");
+  assert.equal(env.STRUCTURED_DATA_TYPE, "Event,FAQPage");
+  assert.deepEqual(
+    changes.find((change) => change.key === "BASE_PATH"),
+    { key: "BASE_PATH", from: "lp/", to: "/lp" },
+  );
+});
+
+test("validateConfig: 送信先ごとのコンバージョンラベルはラベルだけにし、GA_ADS_ID を補う", () => {
+  const { env, errors, changes } = validateConfig({ GA_ADS_CONVERSION_LABEL: "aw-123456789/abcDEF" });
+  assert.deepEqual(errors, []);
+  assert.equal(env.GA_ADS_ID, "AW-123456789");
+  assert.equal(env.GA_ADS_CONVERSION_LABEL, "abcDEF");
+  assert.ok(changes.some((change) => change.key === "GA_ADS_ID" && change.from === "" && change.to === "AW-123456789"));
+
+  const mismatch = validateConfig({ GA_ADS_ID: "AW-1", GA_ADS_CONVERSION_LABEL: "AW-2/abc" });
+  assert.equal(mismatch.errors[0].key, "GA_ADS_CONVERSION_LABEL");
+  assert.match(mismatch.errors[0].message, /different from GA_ADS_ID/);
+});
+
+test("validateConfig: 形式の誤りはエラー（書かれた値のまま）、空の値は検証しない", () => {
+  const { env, errors } = validateConfig({
+    GA_MEASUREMENT_ID: "UA-1234",
+    OG_URL: "example.com",
+    EVENT_START_DATE: "2025-02-30",
+    TRACK_TIME_ON_PAGE: "30,abc",
+    META_PIXEL_ID: "",
+  });
+  assert.equal(env.GA_MEASUREMENT_ID, "UA-1234");
+  assert.deepEqual(errors.map(formatIssue), [
+    "GA_MEASUREMENT_ID=UA-1234 expected a value like G-XXXXXXXXXX",
+    'TRACK_TIME_ON_PAGE=30,abc "abc": expected an integer',
+    "OG_URL=example.com expected an absolute URL (e.g. https://example.com/)",
+    "EVENT_START_DATE=2025-02-30 is not a valid date",
+  ]);
+});
+
+test("validateConfig: 知らないキーは候補付きの警告、MODE は対象外", () => {
+  const { warnings } = validateConfig({ GA_MEASURMENT_ID: "G-ABC", SOMETHING_ELSE: "1", MODE: "staging" });
+  assert.deepEqual(warnings.map(formatIssue), [
+    "GA_MEASURMENT_ID=G-ABC is not a known setting (did you mean GA_MEASUREMENT_ID?)",
+    "SOMETHING_ELSE=1 is not a known setting",
+  ]);
+  assert.equal(suggestKey("BASE_PTH"), "BASE_PATH");
+  assert.equal(suggestKey("COMPLETELY_DIFFERENT"), null);
+});
+
+test("validateConfig: キーの組み合わせの検証（partial では行わない）", () => {
+  const env = {
+    EVENT_START_DATE: "2025-04-02",
+    EVENT_END_DATE: "2025-04-01",
+    GA_ADS_CONVERSION_LABEL: "abc",
+    OG_IMAGE_GENERATE: "true",
+  };
+  const { errors, warnings } = validateConfig(env);
+  assert.deepEqual(errors.map(formatIssue), ["EVENT_END_DATE=2025-04-01 is before EVENT_START_DATE"]);
+  assert.deepEqual(warnings.map(formatIssue), [
+    "GA_ADS_CONVERSION_LABEL=abc is ignored without GA_ADS_ID",
+    "OG_URL is required for an absolute og:image URL",
+  ]);
+
+  const partial = validateConfig(env, { partial: true });
+  assert.deepEqual(partial.errors, []);
+  assert.deepEqual(partial.warnings, []);
+});
+
+test("validateConfig: Event の構造化データには開始日が必要", () => {
+  const { warnings } = validateConfig({ STRUCTURED_DATA_TYPE: "Event" });
+  assert.deepEqual(warnings.map(formatIssue), ["EVENT_START_DATE is required for Event structured data"]);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rewriteCssImages } from "../scripts/lib/css-images.mjs";
+
+const artDirection = new Map([
+  ["images/hero.jpg", { variants: [{ suffix: "-sp", media: "(max-width: 767px)", srcPath: "images/hero-sp.jpg" }] }],
+]);
+
+test("rewriteCssImages: url() を image-set() にし、元の宣言をフォールバックとして残す", () => {
+  const { css, count } = rewriteCssImages(".hero { background-image: url('../images/hero.jpg'); }", {
+    fromDir: "css",
+  });
+  assert.equal(count, 1);
+  assert.match(css, /background-image: url\(\.\.\/images\/hero\.jpg\);/);
+  assert.match(
+    css,
+    /background-image: image-set\(url\(\.\.\/images\/hero\.avif\) type\("image\/avif"\), url\(\.\.\/images\/hero\.webp\) type\("image\/webp"\), url\(\.\.\/images\/hero\.jpg\) type\("image\/jpeg"\)\);/,
+  );
+});
+
+test("rewriteCssImages: BASE_PATH なしのルート絶対パスに BASE_PATH を付ける", () => {
+  const { css } = rewriteCssImages(".hero { background: #000 url(/images/hero.png) no-repeat; }", {
+    basePath: "/lp",
+  });
+  assert.match(css, /background: #000 url\(\/lp\/images\/hero\.png\) no-repeat;/);
+  assert.match(css, /url\(\/lp\/images\/hero\.avif\) type\("image\/avif"\)/);
+});
+
+test("rewriteCssImages: 対象外の url() や手書きの image-set() はそのまま", () => {
+  const input = [
+    ".a { background-image: url(../images/icon.svg); }",
+    ".b { background-image: url(https://example.com/hero.jpg); }",
+    '.c { background-image: image-set(url(../images/hero.jpg) type("image/jpeg")); }',
+  ].join("\n");
+  const { css, count } = rewriteCssImages(input, { fromDir: "css" });
+  assert.equal(count, 0);
+  assert.equal(css, input);
+});
+
+test("rewriteCssImages: 画面幅ごとの画像は元のルールの直後の @media に出力", () => {
+  const { css } = rewriteCssImages(".hero { background-image: url(images/hero.jpg); }\n.next { color: red; }", {
+    artDirection,
+  });
+  const media = css.indexOf("@media (max-width: 767px)");
+  assert.ok(media > css.indexOf(".hero") && media < css.indexOf(".next"));
+  assert.match(css.slice(media), /\.hero \{[^}]*url\(images\/hero-sp\.jpg\)[^}]*url\(images\/hero-sp\.avif\)/);
+});
+
+test("rewriteCssImages: 後ろにある同じメディアクエリの @media に追加する", () => {
+  const { css } = rewriteCssImages(
+    ".hero { background-image: url(images/hero.jpg); }\n@media (max-width:767px) { .other { color: red; } }",
+    { artDirection },
+  );
+  assert.equal(css.match(/@media/g).length, 1);
+  assert.match(css, /\.other \{ color: red; \}\s*\.hero \{[^}]*hero-sp\.jpg/);
+});
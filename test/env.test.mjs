@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadEnv, parseEnvLines, parseModeArgs } from "../scripts/lib/env.mjs";
+
+// .env 群を一時ディレクトリに書き出して loadEnv() を実行
+async function withEnvFiles(files, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-env-"));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, name), content);
+    }
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("parseEnvLines: コメント・空行を除き、値の = はそのまま", () => {
+  assert.deepEqual(parseEnvLines("# comment\n\nBASE_PATH = /lp\nOG_URL=https://example.com/?a=1\n"), {
+    BASE_PATH: "/lp",
+    OG_URL: "https://example.com/?a=1",
+  });
+});
+
+test("parseModeArgs: --mode を取り出し、残りの引数を返す", () => {
+  assert.deepEqual(parseModeArgs(["--mode", "staging", "--list"], {}), { mode: "staging", args: ["--list"] });
+  assert.deepEqual(parseModeArgs(["--mode=staging"], {}), { mode: "staging", args: [] });
+  assert.deepEqual(parseModeArgs(["--skip-critical"], {}), { mode: "production", args: ["--skip-critical"] });
+});
+
+test("parseModeArgs: 指定が無ければ Vercel のプレビューデプロイは staging", () => {
+  assert.equal(parseModeArgs([], { VERCEL_ENV: "preview" }).mode, "staging");
+  assert.equal(parseModeArgs([], { VERCEL_ENV: "production" }).mode, "production");
+  assert.equal(parseModeArgs(["--mode", "production"], { VERCEL_ENV: "preview" }).mode, "production");
+});
+
+test("loadEnv: .env → .env.local → .env.<mode> → .env.<mode>.local → process.env の順に上書き", async () => {
+  const env = await withEnvFiles(
+    {
+      ".env": "BASE_PATH=/base\nOG_URL=https://example.com/\nSITE_TITLE=base\nSITE_DESCRIPTION=base\n",
+      ".env.local": "SITE_TITLE=local\n",
+      ".env.production": "SITE_DESCRIPTION=production\nOG_URL=https://production.example.com/\n",
+      ".env.production.local": "OG_URL=https://production-local.example.com/\n",
+      ".env.staging": "SITE_DESCRIPTION=staging\n",
+    },
+    (dir) => loadEnv(dir, { mode: "production", processEnv: { BASE_PATH: "/override" } }),
+  );
+  assert.equal(env.MODE, "production");
+  assert.equal(env.BASE_PATH, "/override");
+  assert.equal(env.SITE_TITLE, "local");
+  assert.equal(env.SITE_DESCRIPTION, "production");
+  assert.equal(env.OG_URL, "https://production-local.example.com/");
+});
+
+test("loadEnv: staging は本番の広告タグIDを引き継がず、NOINDEX=true を既定にする", async () => {
+  const files = {
+    ".env": "GA_MEASUREMENT_ID=G-PRODUCTION\nMETA_PIXEL_ID=123\nSITE_TITLE=base\n",
+    ".env.staging": "META_PIXEL_ID=456\n",
+  };
+  const env = await withEnvFiles(files, (dir) => loadEnv(dir, { mode: "staging", processEnv: {} }));
+  assert.equal(env.GA_MEASUREMENT_ID, undefined);
+  assert.equal(env.META_PIXEL_ID, "456");
+  assert.equal(env.SITE_TITLE, "base");
+  assert.equal(env.NOINDEX, "true");
+
+  const disabled = await withEnvFiles({ ...files, ".env.staging": "NOINDEX=false\n" }, (dir) =>
+    loadEnv(dir, { mode: "staging", processEnv: {} }),
+  );
+  assert.equal(disabled.NOINDEX, "false");
+});
+
+test("loadEnv: process.env は設定のキーだけを取り込む", async () => {
+  const env = await withEnvFiles({ ".env": "SITE_TITLE=base\n" }, (dir) =>
+    loadEnv(dir, { mode: "production", processEnv: { PATH: "/usr/bin", HOME: "/root", SITE_TITLE: "ci" } }),
+  );
+  assert.equal(env.SITE_TITLE, "ci");
+  assert.equal(env.PATH, undefined);
+  assert.equal(env.HOME, undefined);
+});
+
+test("loadEnv: 未知のモードはエラー", async () => {
+  await assert.rejects(() => loadEnv(os.tmpdir(), { mode: "preview", processEnv: {} }), /Unknown mode: preview/);
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import { listBuildEntries } from "../scripts/lib/asset-graph.mjs";
+import { encodeIco, generateFavicons, generateWebManifest, getFaviconSources } from "../scripts/lib/favicons.mjs";
+import { createMemoryOutput } from "../scripts/lib/output.mjs";
+
+test("getFaviconSources: 先頭の / と src/ を除き、既定は images/favicon.png", () => {
+  assert.deepEqual(getFaviconSources({}), { png: "images/favicon.png", svg: null, darkSvg: null });
+  assert.deepEqual(getFaviconSources({ FAVICON_SRC: "/src/images/logo.png", FAVICON_SVG: "images/logo.svg" }), {
+    png: "images/logo.png",
+    svg: "images/logo.svg",
+    darkSvg: null,
+  });
+});
+
+test("listBuildEntries: faviconの元画像をビルドが読み込むファイルに含める", () => {
+  assert.deepEqual(listBuildEntries({ FAVICON_SRC: "images/logo.png", FAVICON_SVG_DARK: "images/dark.svg" }), [
+    "style.css",
+    "script.js",
+    "images/logo.png",
+    "images/dark.svg",
+  ]);
+});
+
+test("encodeIco: ヘッダーと各サイズのエントリ（256px は 0）", () => {
+  const images = [
+    { size: 16, buffer: Buffer.from("a") },
+    { size: 256, buffer: Buffer.from("bcd") },
+  ];
+  const ico = encodeIco(images);
+  assert.equal(ico.readUInt16LE(2), 1);
+  assert.equal(ico.readUInt16LE(4), 2);
+  assert.equal(ico.readUInt8(6), 16);
+  assert.equal(ico.readUInt8(6 + 16), 0);
+  // 画像データの位置・長さ
+  assert.equal(ico.readUInt32LE(6 + 12), 6 + 32);
+  assert.equal(ico.readUInt32LE(6 + 16 + 8), 3);
+  assert.equal(ico.subarray(6 + 32).toString(), "abcd");
+});
+
+test("generateWebManifest: BASE_PATH 付きのURLと設定の色", () => {
+  const manifest = JSON.parse(generateWebManifest({ SITE_TITLE: "LP", THEME_COLOR: "#1a3a6b" }, "/lp"));
+  assert.equal(manifest.name, "LP");
+  assert.equal(manifest.start_url, "/lp/");
+  assert.equal(manifest.theme_color, "#1a3a6b");
+  assert.equal(manifest.background_color, "#ffffff");
+  assert.deepEqual(
+    manifest.icons.map((icon) => [icon.src, icon.sizes]),
+    [
+      ["/lp/android-chrome-192x192.png", "192x192"],
+      ["/lp/android-chrome-512x512.png", "512x512"],
+    ],
+  );
+});
+
+test("generateFavicons: ICO・PNG・site.webmanifest を出力し、元画像が無ければ null", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-favicon-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  const output = createMemoryOutput();
+
+  assert.equal(await generateFavicons(dir, output, {}), null);
+
+  await fs.mkdir(path.join(dir, "images"));
+  await sharp({ create: { width: 512, height: 512, channels: 4, background: "#336699" } })
+    .png()
+    .toFile(path.join(dir, "images/favicon.png"));
+  const generated = await generateFavicons(dir, output, {});
+  assert.equal(generated.svg, false);
+  assert.deepEqual([...output.files.keys()].sort(), [
+    "android-chrome-192x192.png",
+    "android-chrome-512x512.png",
+    "apple-touch-icon.png",
+    "favicon-16x16.png",
+    "favicon-32x32.png",
+    "favicon.ico",
+    "site.webmanifest",
+  ]);
+  assert.equal(output.files.get("favicon.ico").readUInt16LE(4), 3);
+  assert.equal((await sharp(output.files.get("apple-touch-icon.png")).metadata()).width, 180);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  collectCssContent,
+  fontFilePath,
+  generateFontFaceCss,
+  isLocalFont,
+  mergeFontRequests,
+  parseGoogleFontsUrl,
+} from "../scripts/lib/fonts.mjs";
+
+test("parseGoogleFontsUrl: css2 のウェイト指定（イタリックは除く）", () => {
+  assert.deepEqual(
+    parseGoogleFontsUrl("https://fonts.googleapis.com/css2?family=Noto+Sans+JP:wght@400;700&display=optional"),
+    { families: [{ family: "Noto Sans JP", weights: [400, 700] }], display: "optional" },
+  );
+  assert.deepEqual(
+    parseGoogleFontsUrl("https://fonts.googleapis.com/css2?family=Roboto:ital,wght@0,500;1,700").families,
+    [{ family: "Roboto", weights: [500] }],
+  );
+});
+
+test("parseGoogleFontsUrl: css の旧形式・ウェイト指定なし・Google Fonts 以外", () => {
+  assert.deepEqual(parseGoogleFontsUrl("https://fonts.googleapis.com/css?family=Noto+Sans+JP:400,700|Roboto"), {
+    families: [
+      { family: "Noto Sans JP", weights: [400, 700] },
+      { family: "Roboto", weights: [400] },
+    ],
+    display: "swap",
+  });
+  assert.equal(parseGoogleFontsUrl("https://example.com/css2?family=Noto+Sans+JP"), null);
+});
+
+test("mergeFontRequests: 全ページのウェイトをファミリーごとにまとめる", () => {
+  assert.deepEqual(
+    mergeFontRequests([
+      { family: "Noto Sans JP", weights: [700] },
+      { family: "Noto Sans JP", weights: [400, 700] },
+    ]),
+    [{ family: "Noto Sans JP", weights: [400, 700] }],
+  );
+});
+
+test("collectCssContent: content プロパティの文字列", () => {
+  assert.equal(collectCssContent(`.a::before { content: "※"; } .b::after{content:'\\2192'}`), "※\\2192");
+});
+
+test("generateFontFaceCss: ページからの相対パス、BASE_PATH 指定時はルート絶対パス", () => {
+  assert.equal(isLocalFont("Noto Sans JP"), true);
+  const files = [{ family: "Noto Sans JP", weight: 400, path: fontFilePath("Noto Sans JP", 400) }];
+  assert.equal(
+    generateFontFaceCss(files, { pageDir: "campaign" }),
+    '@font-face{font-family:"Noto Sans JP";font-style:normal;font-weight:400;font-display:swap;' +
+      'src:url("../fonts/noto-sans-jp-400.woff2") format("woff2")}',
+  );
+  assert.match(generateFontFaceCss(files, { basePath: "/lp" }), /url\("\/lp\/fonts\/noto-sans-jp-400\.woff2"\)/);
+});
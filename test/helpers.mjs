@@ -0,0 +1,11 @@
+/**
+ * テストの共通処理
+ */
+
+import fs from "node:fs/promises";
+import { parseHtml } from "../scripts/lib/dom.mjs";
+
+// test/fixtures/ のHTMLをパース
+export async function loadFixture(name) {
+  return parseHtml(await fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), "utf-8"));
+}
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import { DEFAULT_WIDTHS, optimizeImage, optimizeImages, parseWidths } from "../scripts/lib/image-optimizer.mjs";
+import { createMemoryOutput } from "../scripts/lib/output.mjs";
+
+const settings = { maxWidth: 800, quality: { jpeg: 80, avif: 50, webp: 75 } };
+
+function createImage(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: "#336699" } })
+    .jpeg()
+    .toBuffer();
+}
+
+test("parseWidths: 昇順・重複なし、空や不正な値なら既定値", () => {
+  assert.deepEqual(parseWidths("960, 320,320,abc"), [320, 960]);
+  assert.equal(parseWidths(""), DEFAULT_WIDTHS);
+  assert.equal(parseWidths("0,-1"), DEFAULT_WIDTHS);
+});
+
+test("optimizeImage: 最大幅に縮小し、それより小さい幅の AVIF/WebP を作る", async () => {
+  const result = await optimizeImage(await createImage(1000, 500), ".jpg", [320, 800, 960], settings);
+  assert.deepEqual({ width: result.width, height: result.height }, { width: 800, height: 400 });
+  assert.deepEqual([...result.files.keys()], [".jpg", ".avif", ".webp", "-320w.avif", "-320w.webp"]);
+  assert.equal((await sharp(result.files.get(".jpg")).metadata()).width, 800);
+  assert.equal((await sharp(result.files.get("-320w.webp")).metadata()).width, 320);
+});
+
+test("optimizeImages: 変換結果をキャッシュし、2回目は変換しない", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-images-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.mkdir(path.join(dir, "src/images"), { recursive: true });
+  await fs.writeFile(path.join(dir, "src/images/hero.jpg"), await createImage(400, 200));
+  const options = { projectRoot: dir, cacheDir: path.join(dir, ".cache/images"), widths: [160], ...settings };
+
+  const first = await optimizeImages(
+    path.join(dir, "src"),
+    ["images/hero.jpg", "robots.txt"],
+    createMemoryOutput(),
+    options,
+  );
+  assert.deepEqual(first.optimized, ["images/hero.jpg"]);
+  assert.equal(first.cached, 0);
+  assert.deepEqual(first.dimensions, { "src/images/hero.jpg": { width: 400, height: 200 } });
+
+  const output = createMemoryOutput();
+  const second = await optimizeImages(path.join(dir, "src"), ["images/hero.jpg"], output, options);
+  assert.equal(second.cached, 1);
+  assert.deepEqual([...second.written].sort(), [
+    "images/hero-160w.avif",
+    "images/hero-160w.webp",
+    "images/hero.avif",
+    "images/hero.jpg",
+    "images/hero.webp",
+  ]);
+  assert.deepEqual([...output.files.keys()].sort(), [...second.written].sort());
+});
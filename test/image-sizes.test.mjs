@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { inferSizes } from "../scripts/lib/image-sizes.mjs";
+
+// ビューポート幅 → 表示幅 の計測結果
+function samples(widths) {
+  return Object.entries(widths).map(([viewport, width]) => ({ viewport: Number(viewport), width }));
+}
+
+test("inferSizes: ビューポートに比例する幅は vw", () => {
+  const result = inferSizes(samples({ 375: 375, 768: 768, 1280: 1280, 1920: 1920 }), 768);
+  assert.deepEqual(result, { sizes: "100vw", maxWidth: 1920 });
+});
+
+test("inferSizes: SP は全幅、PC は固定幅", () => {
+  const result = inferSizes(samples({ 375: 335, 768: 728, 1280: 600, 1920: 600 }), 768);
+  assert.deepEqual(result, { sizes: "(max-width: 768px) calc(100vw - 40px), 600px", maxWidth: 728 });
+});
+
+test("inferSizes: SP で非表示（幅0）の画像は PC の幅だけで sizes を作る", () => {
+  const result = inferSizes(samples({ 375: 0, 768: 0, 1280: 640, 1920: 640 }), 768);
+  assert.deepEqual(result, { sizes: "640px", maxWidth: 640 });
+});
+
+test("inferSizes: どのビューポートでも表示されていなければ null", () => {
+  assert.equal(inferSizes(samples({ 375: 0, 768: 0, 1280: 0, 1920: 0 }), 768), null);
+});
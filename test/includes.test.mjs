@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { resolveIncludes } from "../scripts/lib/includes.mjs";
+
+const srcDir = fileURLToPath(new URL("./fixtures/includes/", import.meta.url));
+
+test("resolveIncludes: {{ name }} を属性の値に置き換える（未定義は空文字）", async () => {
+  const html = await resolveIncludes(`<!-- @include partials/cta.html label='無料相談' -->`, { srcDir });
+  assert.equal(html, `<a href="index.html" data-cv="">無料相談</a>`);
+});
+
+test("resolveIncludes: パーシャルから別のパーシャルを展開する", async () => {
+  const html = await resolveIncludes("<body><!-- @include partials/footer.html --></body>", { srcDir });
+  assert.equal(html, `<body><footer>\n  <a href="index.html" data-cv="footer">お問い合わせ</a>\n</footer></body>`);
+});
+
+test("resolveIncludes: {{ root }} は下層ページから src/ 直下への相対パス", async () => {
+  const html = await resolveIncludes(`<!-- @include partials/cta.html label="戻る" -->`, {
+    srcDir,
+    pagePath: "campaign/spring/index.html",
+  });
+  assert.equal(html, `<a href="../../index.html" data-cv="">戻る</a>`);
+});
+
+test("resolveIncludes: 循環参照はエラー", async () => {
+  await assert.rejects(
+    resolveIncludes("<!-- @include partials/loop-a.html -->", { srcDir }),
+    /Circular include: partials\/loop-a\.html → partials\/loop-b\.html → partials\/loop-a\.html/,
+  );
+});
+
+test("resolveIncludes: 存在しないパーシャルはインクルード元を含めてエラー", async () => {
+  await assert.rejects(
+    resolveIncludes("<!-- @include partials/missing.html -->", { srcDir, pagePath: "about.html" }),
+    /Include not found: partials\/missing\.html \(in about\.html\)/,
+  );
+});
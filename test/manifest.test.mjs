@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryOutput } from "../scripts/lib/output.mjs";
+import {
+  hashedName,
+  resolveOutputPath,
+  rewriteUrl,
+  rewriteCssUrls,
+  fingerprintAssets,
+  hashContent,
+} from "../scripts/lib/manifest.mjs";
+
+const manifest = {
+  "images/hero.jpg": "images/hero.1a2b3c4d.jpg",
+  "fonts/noto.woff2": "fonts/noto.5e6f7a8b.woff2",
+};
+
+test("hashedName: .min の前にハッシュを入れる", () => {
+  assert.equal(hashedName("style.min.css", "3f9a1c2b"), "style.3f9a1c2b.min.css");
+  assert.equal(hashedName("images/hero.avif", "3f9a1c2b"), "images/hero.3f9a1c2b.avif");
+});
+
+test("resolveOutputPath: 相対パス・ルート絶対パス・BASE_PATH 付きのURL", () => {
+  assert.equal(resolveOutputPath("../images/hero.jpg?v=1", "campaign"), "images/hero.jpg");
+  assert.equal(resolveOutputPath("/images/hero.jpg", "."), "images/hero.jpg");
+  assert.equal(resolveOutputPath("/lp/images/hero.jpg", ".", "/lp"), "images/hero.jpg");
+  assert.equal(resolveOutputPath("/other/hero.jpg", ".", "/lp"), null);
+  assert.equal(resolveOutputPath("https://example.com/hero.jpg", "."), null);
+});
+
+test("rewriteUrl: クエリ・フラグメントを残してファイル名だけ置き換える", () => {
+  assert.equal(rewriteUrl("/lp/images/hero.jpg#top", ".", manifest, "/lp"), "/lp/images/hero.1a2b3c4d.jpg#top");
+  assert.equal(rewriteUrl("images/other.jpg", ".", manifest), "images/other.jpg");
+});
+
+test("rewriteCssUrls: CSS のディレクトリ基準で url() を置き換え、対象外はそのまま", () => {
+  const css = `@font-face{src:url("../fonts/noto.woff2")}.hero{background:url(../images/hero.jpg)}.x{background:url(data:image/png;base64,AA)}`;
+  assert.equal(
+    rewriteCssUrls(css, "css", manifest),
+    `@font-face{src:url("../fonts/noto.5e6f7a8b.woff2")}.hero{background:url(../images/hero.1a2b3c4d.jpg)}.x{background:url(data:image/png;base64,AA)}`,
+  );
+});
+
+test("fingerprintAssets: CSS が参照する画像を先にハッシュし、固定名のファイルは除外する", async () => {
+  const output = createMemoryOutput();
+  await output.write("images/hero.jpg", "jpg");
+  await output.write("style.min.css", ".hero{background:url(images/hero.jpg)}");
+  await output.write("favicon.ico", "ico");
+  await output.write("index.html", "<html></html>");
+
+  const result = await fingerprintAssets(output);
+  const heroHash = hashContent(Buffer.from("jpg"));
+  const css = `.hero{background:url(images/hero.${heroHash}.jpg)}`;
+
+  assert.deepEqual(result, {
+    "images/hero.jpg": `images/hero.${heroHash}.jpg`,
+    "style.min.css": `style.${hashContent(Buffer.from(css))}.min.css`,
+  });
+  assert.equal((await output.read(result["style.min.css"])).toString(), css);
+  assert.deepEqual(
+    (await output.list()).sort(),
+    ["favicon.ico", "index.html", result["images/hero.jpg"], result["style.min.css"]].sort(),
+  );
+});
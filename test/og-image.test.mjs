@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import {
+  OG_IMAGE_HEIGHT,
+  OG_IMAGE_WIDTH,
+  generateOgImage,
+  getOgImageColors,
+  ogImagePath,
+} from "../scripts/lib/og-image.mjs";
+import { createMemoryOutput } from "../scripts/lib/output.mjs";
+
+test("ogImagePath: ページごとに og/ 以下のPNG", () => {
+  assert.equal(ogImagePath("index.html"), "og/index.png");
+  assert.equal(ogImagePath("thanks/index.html"), "og/thanks/index.png");
+});
+
+test("getOgImageColors: 背景色の既定と、背景色から決める文字色", () => {
+  assert.deepEqual(getOgImageColors({}), { background: "#ffffff", accent: "#333333", text: "#222222" });
+  assert.deepEqual(
+    getOgImageColors({ BACKGROUND_COLOR: "#fff", OG_IMAGE_BACKGROUND: "#1a3a6b", THEME_COLOR: "#f60" }),
+    {
+      background: "#1a3a6b",
+      accent: "#f60",
+      text: "#ffffff",
+    },
+  );
+  assert.equal(getOgImageColors({ OG_IMAGE_BACKGROUND: "#000", OG_IMAGE_TEXT_COLOR: "#ff0" }).text, "#ff0");
+});
+
+test("generateOgImage: 1200x630 のPNGを出力し、指定したロゴが無ければ警告", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-og-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const warn = t.mock.method(console, "warn", () => {});
+  const output = createMemoryOutput();
+
+  const relPath = await generateOgImage(dir, output, {
+    pagePath: "campaign/index.html",
+    env: { SITE_TITLE: "無料相談会 <春>", OG_SITE_NAME: "LP", OG_IMAGE_LOGO: "images/missing.png" },
+  });
+  assert.equal(relPath, "og/campaign/index.png");
+  const { width, height, format } = await sharp(output.files.get(relPath)).metadata();
+  assert.deepEqual({ width, height, format }, { width: OG_IMAGE_WIDTH, height: OG_IMAGE_HEIGHT, format: "png" });
+  assert.deepEqual(
+    warn.mock.calls.map((call) => call.arguments[0]),
+    ["⚠ OG image logo not found: src/images/missing.png"],
+  );
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createDiskOutput, createMemoryOutput } from "../scripts/lib/output.mjs";
+
+async function createTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-output-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("createMemoryOutput: 書き込んだファイルを Buffer で保持し、無いファイルは ENOENT", async () => {
+  const output = createMemoryOutput();
+  await output.write("css/style.min.css", "body{}");
+  await output.write("images/hero.jpg", Buffer.from([1, 2, 3]));
+
+  assert.deepEqual(await output.list(), ["css/style.min.css", "images/hero.jpg"]);
+  assert.equal((await output.read("css/style.min.css")).toString(), "body{}");
+  await output.remove("images/hero.jpg");
+  await assert.rejects(() => output.read("images/hero.jpg"), { code: "ENOENT" });
+  await output.clear();
+  assert.deepEqual(await output.list(), []);
+});
+
+test("createDiskOutput: ディレクトリに書き込み、出力先からの相対パスで列挙", async (t) => {
+  const dir = await createTempDir(t);
+  const output = createDiskOutput(dir);
+  await output.write("index.html", "<p>page</p>");
+  await output.write("og/thanks/index.png", Buffer.from([0]));
+
+  assert.deepEqual((await output.list()).sort(), ["index.html", "og/thanks/index.png"]);
+  assert.equal(await fs.readFile(path.join(dir, "index.html"), "utf-8"), "<p>page</p>");
+  await output.remove("index.html");
+  assert.deepEqual(await output.list(), ["og/thanks/index.png"]);
+});
+
+test("createDiskOutput: clear() から commit() までは前回の出力を残し、変わったファイルだけ書き込む", async (t) => {
+  const dir = await createTempDir(t);
+  const output = createDiskOutput(dir);
+  await output.write("index.html", "v1");
+  await output.write("old.html", "old");
+  await output.write("same.css", "body{}");
+  const { mtimeMs } = await fs.stat(path.join(dir, "same.css"));
+
+  await output.clear();
+  await output.write("index.html", "v2");
+  await output.write("same.css", "body{}");
+  assert.equal(await fs.readFile(path.join(dir, "index.html"), "utf-8"), "v1");
+  assert.equal((await output.read("index.html")).toString(), "v2");
+
+  assert.deepEqual(await output.commit(), { written: 1, unchanged: 1, removed: 1 });
+  assert.deepEqual((await output.list()).sort(), ["index.html", "same.css"]);
+  assert.equal(await fs.readFile(path.join(dir, "index.html"), "utf-8"), "v2");
+  assert.equal((await fs.stat(path.join(dir, "same.css"))).mtimeMs, mtimeMs);
+  assert.equal(await output.commit(), null);
+});
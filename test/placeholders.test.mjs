@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import {
+  createPlaceholder,
+  placeholderStyle,
+  PLACEHOLDER_ATTR,
+  PLACEHOLDER_RUNTIME,
+} from "../scripts/lib/placeholders.mjs";
+
+const placeholder = { color: "#336699", blur: "data:image/svg+xml;base64,AAAA" };
+
+// ランタイムを実行し、load イベントのリスナーを返す
+function loadRuntime() {
+  let listener;
+  const document = { addEventListener: (type, fn) => (listener = fn) };
+  new Function("document", PLACEHOLDER_RUNTIME)(document);
+  return listener;
+}
+
+// style.removeProperty と属性だけを持つ <img> の代わり
+function fakeImage(properties, attrs) {
+  const style = { ...properties };
+  Object.defineProperty(style, "removeProperty", { value: (name) => delete style[name] });
+  return {
+    style,
+    hasAttribute: (name) => name in attrs,
+    getAttribute: (name) => attrs[name],
+    removeAttribute: (name) => delete attrs[name],
+  };
+}
+
+test("createPlaceholder: 代表色とぼかし画像（SVGのdata URI）", async () => {
+  const input = await sharp({ create: { width: 64, height: 32, channels: 3, background: "#336699" } })
+    .png()
+    .toBuffer();
+  const { color, blur } = await createPlaceholder(input);
+  assert.match(color, /^#[0-9a-f]{6}$/);
+  assert.match(blur, /^data:image\/svg\+xml;base64,/);
+});
+
+test("placeholderStyle: color は背景色だけ、blur はぼかし画像も追加する", () => {
+  assert.deepEqual(placeholderStyle(placeholder, "color"), { "background-color": "#336699" });
+  assert.deepEqual(Object.keys(placeholderStyle(placeholder, "blur")), [
+    "background-color",
+    "background-image",
+    "background-position",
+    "background-size",
+    "background-repeat",
+  ]);
+});
+
+test("PLACEHOLDER_RUNTIME: 読み込み後に追加したプロパティだけを外す", () => {
+  const onLoad = loadRuntime();
+  const img = fakeImage(
+    { "background-color": "#336699", "background-image": "url(x)", "border-radius": "8px" },
+    { [PLACEHOLDER_ATTR]: "background-color background-image" },
+  );
+
+  onLoad({ target: img });
+  assert.deepEqual(img.style, { "border-radius": "8px" });
+  assert.equal(img.hasAttribute(PLACEHOLDER_ATTR), false);
+});
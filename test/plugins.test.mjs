@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatIssue } from "../scripts/lib/config.mjs";
+import { runBeforeHtml, runPluginHook } from "../scripts/lib/plugins.mjs";
+import { validateProjectConfig } from "../scripts/lib/project-config.mjs";
+
+test("runPluginHook: フックを持つプラグインだけを登録順に実行", async () => {
+  const calls = [];
+  const plugins = [
+    { name: "a", afterBuild: async (ctx) => calls.push(`a:${ctx.page}`) },
+    { name: "b", transformHtml: () => calls.push("b") },
+    { afterBuild: (ctx) => calls.push(`c:${ctx.page}`) },
+  ];
+  await runPluginHook(plugins, "afterBuild", { page: "index.html" });
+  assert.deepEqual(calls, ["a:index.html", "c:index.html"]);
+});
+
+test("runPluginHook: エラーにプラグイン名とフック名を付ける", async () => {
+  const cause = new Error("boom");
+  const plugins = [{ afterAssets() {} }, { afterAssets: () => Promise.reject(cause) }];
+  await assert.rejects(
+    () => runPluginHook(plugins, "afterAssets", {}),
+    (error) => error.message === "Plugin plugins[1] failed in afterAssets: boom" && error.cause === cause,
+  );
+});
+
+test("runBeforeHtml: 返した文字列を次のプラグインに渡す（文字列以外は無視）", async () => {
+  const plugins = [
+    { name: "banner", beforeHtml: (html) => html.replace("<body>", "<body><p>banner</p>") },
+    { name: "inspect", beforeHtml: () => undefined },
+    { name: "page", beforeHtml: (html, ctx) => html.replace("</body>", `<!-- ${ctx.pagePath} --></body>`) },
+  ];
+  const html = await runBeforeHtml(plugins, "<body></body>", { pagePath: "index.html" });
+  assert.equal(html, "<body><p>banner</p><!-- index.html --></body>");
+});
+
+test("runBeforeHtml: エラーにプラグイン名を付ける", async () => {
+  const plugins = [
+    {
+      name: "broken",
+      beforeHtml: () => {
+        throw new Error("bad html");
+      },
+    },
+  ];
+  await assert.rejects(() => runBeforeHtml(plugins, "", {}), /Plugin broken failed in beforeHtml: bad html/);
+});
+
+test("validateProjectConfig: プラグインの形式を検証", () => {
+  const { errors } = validateProjectConfig({
+    plugins: [{ name: "ok", transformHtml() {} }, { name: 1, afterbuild() {} }, { beforeHtml: "x" }, "plugin"],
+  });
+  assert.deepEqual(errors.map(formatIssue), [
+    "plugins[1].name expected a string",
+    "plugins[1].afterbuild is not a known hook (did you mean afterBuild?)",
+    "plugins[2].beforeHtml expected a function",
+    "plugins[3] expected an object ({ name, transformHtml, ... })",
+  ]);
+  assert.deepEqual(validateProjectConfig({ plugins: {} }).errors.map(formatIssue), [
+    "plugins expected an array of plugins",
+  ]);
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { formatIssue } from "../scripts/lib/config.mjs";
+import {
+  DEFAULT_PROJECT_CONFIG,
+  loadProjectConfig,
+  mergeConfig,
+  resolvePageConfig,
+  validateProjectConfig,
+} from "../scripts/lib/project-config.mjs";
+
+test("validateProjectConfig: 書かれた値だけ既定値を上書きする", () => {
+  const { config, errors } = validateProjectConfig({ images: { quality: { avif: 50 } }, breakpoint: 1023 });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(config.images.quality, { jpeg: 85, avif: 50, webp: 80 });
+  assert.equal(config.images.maxWidth, DEFAULT_PROJECT_CONFIG.images.maxWidth);
+  assert.equal(config.breakpoint, 1023);
+  assert.deepEqual(config.minify, DEFAULT_PROJECT_CONFIG.minify);
+});
+
+test("validateProjectConfig: 型・範囲の誤りと知らない項目はエラー（既定値を使う）", () => {
+  const { config, errors } = validateProjectConfig({
+    images: { quality: { jpeg: 120 }, maxWidht: 1600 },
+    breakpoint: "768",
+    conversion: { scrollDepth: [] },
+    favicon: { icoSizes: [16, 512] },
+    minify: { html: false },
+  });
+  assert.deepEqual(errors.map(formatIssue), [
+    "images.quality.jpeg=120 expected 1-100",
+    "images.maxWidht is not a known option (did you mean maxWidth?)",
+    'breakpoint="768" expected a positive integer',
+    "conversion.scrollDepth=[] expected a non-empty array of numbers",
+    "favicon.icoSizes=[16,512] expected items to be 1-256",
+    "minify.html=false expected an object",
+  ]);
+  assert.deepEqual(config, mergeConfig(DEFAULT_PROJECT_CONFIG, {}));
+});
+
+test("validateProjectConfig: ページごとの上書きは PAGE_OPTIONS の項目だけ", () => {
+  const { errors } = validateProjectConfig({
+    pages: {
+      "campaign/**": { breakpoint: 1023, minify: { html: { collapseWhitespace: false } } },
+      "other.html": { images: { maxWidth: 1200 }, minify: { css: { level: 1 } } },
+      "broken.html": "1023",
+    },
+  });
+  assert.deepEqual(errors.map(formatIssue), [
+    'pages["other.html"].images cannot be set per page (breakpoint / conversion / minify.html)',
+    'pages["other.html"].minify.css cannot be set per page (breakpoint / conversion / minify.html)',
+    'pages["broken.html"]="1023" expected an object',
+  ]);
+});
+
+test("resolvePageConfig: glob に一致する上書きを書かれた順に重ねる", () => {
+  const { config } = validateProjectConfig({
+    breakpoint: 767,
+    pages: {
+      "campaign/**": { breakpoint: 1023, conversion: { scrollDepth: [50] } },
+      "campaign/special.html": { breakpoint: 959 },
+    },
+  });
+  assert.equal(resolvePageConfig(config, "index.html").breakpoint, 767);
+  assert.equal(resolvePageConfig(config, "campaign/index.html").breakpoint, 1023);
+
+  const special = resolvePageConfig(config, "campaign/special.html");
+  assert.equal(special.breakpoint, 959);
+  assert.deepEqual(special.conversion.scrollDepth, [50]);
+  assert.deepEqual(special.images, config.images);
+});
+
+test("loadProjectConfig: ファイルが無ければ空、読み込めなければ INVALID_CONFIG", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-project-config-"));
+  try {
+    assert.deepEqual(await loadProjectConfig(dir), {});
+
+    await fs.writeFile(path.join(dir, "lp.config.mjs"), "export default { breakpoint: 1023 };\n");
+    assert.deepEqual(await loadProjectConfig(dir), { breakpoint: 1023 });
+
+    // 更新日時ごとに読み込み直すため、同じミリ秒に書き換えたことにならないよう日時をずらす
+    await fs.writeFile(path.join(dir, "lp.config.mjs"), "export default {\n");
+    await fs.utimes(path.join(dir, "lp.config.mjs"), new Date(), new Date(Date.now() + 60_000));
+    await assert.rejects(() => loadProjectConfig(dir), { code: "INVALID_CONFIG", message: /lp\.config\.mjs/ });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
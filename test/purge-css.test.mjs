@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHtml } from "../scripts/lib/dom.mjs";
+import { purgeCss } from "../scripts/lib/purge-css.mjs";
+
+const pages = [
+  parseHtml('<body><header class="header"><a class="btn" href="#">CTA</a></header></body>'),
+  parseHtml('<body><form class="form"><input class="form__input"></form></body>'),
+];
+
+test("purgeCss: どのページにも一致しないセレクタを削除し、削減したバイト数を返す", () => {
+  const css = ".header{color:red}.unused{color:blue}.btn,.unused-btn{color:green}.form__input{margin:0}";
+  const { css: purged, saved } = purgeCss(css, pages);
+  assert.equal(purged, ".header{color:red}.btn{color:green}.form__input{margin:0}");
+  assert.equal(saved, Buffer.byteLength(css) - Buffer.byteLength(purged));
+});
+
+test("purgeCss: 状態・疑似要素は元の要素で判定し、safelist のクラスは無いものとして判定", () => {
+  const css = ".btn:hover{color:red}.btn::after{content:''}.btn.is-active{color:blue}.card.is-visible{opacity:1}";
+  assert.equal(purgeCss(css, pages).css, ".btn:hover{color:red}.btn::after{content:''}.btn.is-active{color:blue}");
+  assert.equal(purgeCss(".btn.is-active{color:blue}", pages, { safelist: [] }).css, "");
+});
+
+test("purgeCss: @keyframes・@font-face・判定できないセレクタは残し、空の @media は削除", () => {
+  const css = [
+    "@keyframes fade{0%{opacity:0}to{opacity:1}}",
+    '@font-face{font-family:"A";src:url(a.woff2)}',
+    ".header:has-unknown(.x){color:red}",
+    "@media (max-width: 767px){.unused{display:none}}",
+    "@media (min-width: 768px){.header{display:flex}}",
+  ].join("");
+  assert.equal(
+    purgeCss(css, pages).css,
+    [
+      "@keyframes fade{0%{opacity:0}to{opacity:1}}",
+      '@font-face{font-family:"A";src:url(a.woff2)}',
+      ".header:has-unknown(.x){color:red}",
+      "@media (min-width: 768px){.header{display:flex}}",
+    ].join(""),
+  );
+});
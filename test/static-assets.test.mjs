@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createMemoryOutput } from "../scripts/lib/output.mjs";
+import { copyStaticAssets, listStaticAssets, parseGlobs } from "../scripts/lib/static-assets.mjs";
+
+// src/ の代わりの一時ディレクトリ（ファイル名 → 内容）
+async function createSrc(t, files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lp-static-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+    await fs.writeFile(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+const files = {
+  "index.html": "<p>page</p>",
+  "partials/header.html": "<header></header>",
+  "style.css": "body{}",
+  "script.js": "",
+  "robots.txt": "User-agent: *\n",
+  ".well-known/security.txt": "Contact: mailto:info@example.com\n",
+  "downloads/guide.pdf": "%PDF",
+  "drafts/memo.txt": "draft",
+  "images/.gitkeep": "",
+  "data/faq.json": '{\n  "items": []\n}\n',
+  "images/icon.svg": '<svg>\n  <!-- icon -->\n  <path d="M0 0"/>\n</svg>\n',
+  "js/broken.js": "const = ;",
+};
+
+test("parseGlobs: カンマ区切り（空なら null）", () => {
+  assert.deepEqual(parseGlobs(" images/**, robots.txt ,"), ["images/**", "robots.txt"]);
+  assert.equal(parseGlobs(""), null);
+  assert.equal(parseGlobs(undefined), null);
+});
+
+test("listStaticAssets: ページ・パーシャル・CSS/JSの元は常に除外し、ドットファイルのglobにも一致させる", async (t) => {
+  const dir = await createSrc(t, files);
+  assert.deepEqual(await listStaticAssets(dir, { exclude: ["drafts/**"] }), [
+    ".well-known/security.txt",
+    "data/faq.json",
+    "downloads/guide.pdf",
+    "images/icon.svg",
+    "js/broken.js",
+    "robots.txt",
+  ]);
+  assert.deepEqual(await listStaticAssets(dir, { include: ["robots.txt", ".well-known/**"] }), [
+    ".well-known/security.txt",
+    "robots.txt",
+  ]);
+});
+
+test("copyStaticAssets: テキストは minify し、minify できないファイルとその他はそのままコピー", async (t) => {
+  const dir = await createSrc(t, files);
+  const output = createMemoryOutput();
+  const warn = t.mock.method(console, "warn", () => {});
+  const result = await copyStaticAssets(dir, output, {
+    exclude: ["drafts/**"],
+    skip: new Set(["downloads/guide.pdf"]),
+    images: { projectRoot: dir, cacheDir: path.join(dir, ".cache") },
+  });
+
+  assert.equal(result.minified, 2);
+  assert.equal(result.copied, 3);
+  assert.deepEqual([...output.files.keys()].sort(), [
+    ".well-known/security.txt",
+    "data/faq.json",
+    "images/icon.svg",
+    "js/broken.js",
+    "robots.txt",
+  ]);
+  assert.equal(output.files.get("data/faq.json").toString(), '{"items":[]}');
+  assert.equal(output.files.get("images/icon.svg").toString(), '<svg><path d="M0 0"/></svg>');
+  assert.equal(output.files.get("js/broken.js").toString(), "const = ;");
+  assert.match(warn.mock.calls[0].arguments[0], /^⚠ Minify skipped \(js\/broken\.js\)/);
+});
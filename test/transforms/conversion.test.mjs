@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHtml } from "../../scripts/lib/dom.mjs";
+import {
+  generateConversionCode,
+  injectConversionCode,
+  verifyConversionTracking,
+} from "../../scripts/lib/transforms/conversion.mjs";
+
+const sharedScript = { src: "script.js", output: "script.min.js" };
+const env = { GA_MEASUREMENT_ID: "G-TEST" };
+
+function page(scripts = "") {
+  return parseHtml(`<html><head></head><body><a href="tel:0000" data-cv="tel">電話</a>${scripts}</body></html>`);
+}
+
+test("generateConversionCode: 設定したタグの送信だけを含める", () => {
+  const code = generateConversionCode(env);
+  assert.match(code, /gtag\('event', cvType/);
+  assert.doesNotMatch(code, /fbq\(/);
+});
+
+test("injectConversionCode: script.js を読み込むページは共通スクリプトに任せる", () => {
+  const ctx = { $: page(`<script src="script.js"></script>`), env, sharedScript };
+  injectConversionCode(ctx);
+
+  assert.equal(ctx.conversion, "shared");
+  assert.equal(ctx.$("script[data-cv-runtime]").length, 0);
+});
+
+test("injectConversionCode: インラインのスクリプトだけのページには追跡コードを入れる", () => {
+  const ctx = { $: page(`<script>console.log("inline");</script>`), env, sharedScript };
+  injectConversionCode(ctx);
+
+  assert.equal(ctx.conversion, "inline");
+  assert.equal(ctx.$("script[data-cv-runtime]").length, 1);
+});
+
+test("verifyConversionTracking: BASE_PATH 付きの共通スクリプトを参照していれば通る", () => {
+  const $ = page(`<script src="/lp/script.min.js"></script>`);
+  assert.doesNotThrow(() =>
+    verifyConversionTracking({ $, pagePath: "index.html", basePath: "/lp", conversion: "shared", sharedScript }),
+  );
+});
+
+test("verifyConversionTracking: 追跡コードが読み込まれていなければエラー", () => {
+  const $ = page(`<script src="/other/script.min.js"></script>`);
+  assert.throws(
+    () => verifyConversionTracking({ $, pagePath: "index.html", basePath: "/lp", conversion: "shared", sharedScript }),
+    /index\.html: data-cv要素が1個/,
+  );
+});
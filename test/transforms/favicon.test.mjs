@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHtml } from "../../scripts/lib/dom.mjs";
+import { generateFaviconTags, injectFaviconTags } from "../../scripts/lib/transforms/favicon.mjs";
+
+test('generateFaviconTags: ICO は sizes="any"、SVG は生成した場合のみ', () => {
+  const tags = generateFaviconTags("/lp/", { svg: true });
+  assert.match(tags, /<link rel="icon" href="\/lp\/favicon\.ico" sizes="any">/);
+  assert.match(tags, /<link rel="icon" type="image\/svg\+xml" href="\/lp\/favicon\.svg">/);
+  assert.doesNotMatch(tags, /favicon-dark\.svg/);
+  assert.match(tags, /<link rel="manifest" href="\/lp\/site\.webmanifest">/);
+});
+
+test("injectFaviconTags: theme-color は記述済みなら追加しない", () => {
+  const $ = parseHtml('<html><head><meta name="theme-color" content="#000"></head><body></body></html>');
+  injectFaviconTags({ $, env: { THEME_COLOR: "#1a3a6b" }, faviconTags: generateFaviconTags() });
+  assert.equal($('meta[name="theme-color"]').length, 1);
+  assert.equal($('link[rel="icon"]').length, 3);
+
+  const $empty = parseHtml("<html><head></head><body></body></html>");
+  injectFaviconTags({ $: $empty, env: { THEME_COLOR: "#1a3a6b" }, faviconTags: "" });
+  assert.equal($empty('meta[name="theme-color"]').attr("content"), "#1a3a6b");
+});
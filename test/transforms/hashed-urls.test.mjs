@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHtml } from "../../scripts/lib/dom.mjs";
+import { rewriteHashedUrls } from "../../scripts/lib/transforms/hashed-urls.mjs";
+
+const manifest = {
+  "images/logo.png": "images/logo.1a2b3c4d.png",
+  "style.min.css": "style.3f9a1c2b.min.css",
+};
+const env = { OG_URL: "https://example.com/lp/" };
+
+function rewrite(html) {
+  const $ = parseHtml(html);
+  rewriteHashedUrls({ $, manifest, env, basePath: "/lp" });
+  return $;
+}
+
+test("rewriteHashedUrls: 属性・<noscript> の中の参照を置き換える", () => {
+  const $ = rewrite(
+    `<html><head><link rel="stylesheet" href="/lp/style.min.css"></head>` +
+      `<body><noscript><img src="/lp/images/logo.png"></noscript></body></html>`,
+  );
+  assert.equal($("link").attr("href"), "/lp/style.3f9a1c2b.min.css");
+  assert.match($("noscript").text(), /\/lp\/images\/logo\.1a2b3c4d\.png/);
+});
+
+test("rewriteHashedUrls: JSON-LD の同じオリジンのURLだけ置き換える", () => {
+  const data = {
+    "@type": "Organization",
+    logo: "https://example.com/lp/images/logo.png",
+    sameAs: ["https://other.example.com/lp/images/logo.png"],
+  };
+  const $ = rewrite(`<html><head><script type="application/ld+json">${JSON.stringify(data)}</script></head></html>`);
+  const rewritten = JSON.parse($('script[type="application/ld+json"]').text());
+
+  assert.equal(rewritten.logo, "https://example.com/lp/images/logo.1a2b3c4d.png");
+  assert.deepEqual(rewritten.sameAs, data.sameAs);
+});
+
+test("rewriteHashedUrls: 置き換えるURLが無い JSON-LD は書式を変えない", () => {
+  const json = `{\n  "@type": "WebSite",\n  "url": "https://example.com/lp/"\n}`;
+  const $ = rewrite(`<html><head><script type="application/ld+json">${json}</script></head></html>`);
+  assert.equal($('script[type="application/ld+json"]').text(), json);
+});
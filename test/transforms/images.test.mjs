@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { preloadLcpImage, processImages } from "../../scripts/lib/transforms/images.mjs";
+import { loadFixture } from "../helpers.mjs";
+
+const dimensions = {
+  "src/images/hero.jpg": { width: 1200, height: 600 },
+  "src/images/profile.png": { width: 400, height: 400 },
+  "src/images/photo.jpg": { width: 1920, height: 1280 },
+};
+
+async function run(ctx = {}) {
+  const $ = await loadFixture("images.html");
+  processImages({ $, dimensions, ...ctx });
+  return $;
+}
+
+// <picture> 内の <source> の srcset（順番どおり）
+function sourceSrcsets($, $img) {
+  return $img
+    .siblings("source")
+    .map((i, el) => $(el).attr("srcset"))
+    .get();
+}
+
+test("processImages: src が最初の属性でなく、属性値に > を含む画像", async () => {
+  const $ = await run();
+  const $img = $("img.hero");
+
+  assert.equal($img.attr("alt"), "料金 > 他社");
+  assert.equal($img.attr("width"), "1200");
+  assert.equal($img.attr("height"), "600");
+  assert.equal($img.parent().prop("tagName"), "PICTURE");
+  assert.deepEqual(sourceSrcsets($, $img), ["images/hero.avif", "images/hero.webp"]);
+});
+
+test("processImages: 複数行にまたがるタグ", async () => {
+  const $ = await run();
+  const $img = $("img.profile");
+
+  assert.equal($img.attr("src"), "images/profile.png");
+  assert.equal($img.attr("width"), "400");
+  assert.equal($img.attr("height"), "400");
+  assert.deepEqual(sourceSrcsets($, $img), ["images/profile.avif", "images/profile.webp"]);
+});
+
+test("processImages: 最初の画像以外は lazy loading", async () => {
+  const $ = await run();
+
+  assert.equal($("img.hero").attr("loading"), undefined);
+  assert.equal($("img.profile").attr("loading"), "lazy");
+});
+
+test("processImages: SVG・外部URLの画像は <picture> にしない", async () => {
+  const $ = await run();
+
+  assert.equal($('img[src="images/icon.svg"]').parent().prop("tagName"), "BODY");
+  assert.equal($('img[src="https://example.com/banner.jpg"]').parent().prop("tagName"), "BODY");
+});
+
+test("processImages: 記述済みの <picture> は入れ子にしない", async () => {
+  const $ = await run();
+  const $img = $('img[alt="写真"]');
+
+  assert.equal($("picture picture").length, 0);
+  assert.equal($("picture").length, 3);
+  assert.equal($img.attr("src"), "images/photo.jpg");
+  assert.deepEqual(sourceSrcsets($, $img), ["images/photo.avif", "images/photo.webp"]);
+});
+
+test("processImages: 幅ごとの画像から srcset / sizes を作る", async () => {
+  const imageVariants = new Map([
+    ["images/hero", { avif: [320, 640], webp: [320, 640] }],
+    ["images/photo", { avif: [320, 640, 1280], webp: [320, 640, 1280] }],
+  ]);
+  const $ = await run({ imageVariants });
+
+  // 記述された幅が無い画像: 100vw、幅ごとの画像で足りない分は元サイズの画像
+  const $hero = $("img.hero").siblings('source[type="image/avif"]');
+  assert.equal($hero.attr("srcset"), "images/hero-320w.avif 320w, images/hero-640w.avif 640w, images/hero.avif 1200w");
+  assert.equal($hero.attr("sizes"), "100vw");
+
+  // 記述済みの <picture>: width="640" の2倍（1280px）までの幅
+  const $photo = $('img[alt="写真"]').siblings('source[type="image/webp"]');
+  assert.equal(
+    $photo.attr("srcset"),
+    "images/photo-320w.webp 320w, images/photo-640w.webp 640w, images/photo-1280w.webp 1280w",
+  );
+  assert.equal($photo.attr("sizes"), "640px");
+});
+
+test("processImages: BASE_PATH を付ける", async () => {
+  const $ = await run({ basePath: "/lp/" });
+  const $img = $("img.hero");
+
+  assert.equal($img.attr("src"), "/lp/images/hero.jpg");
+  assert.deepEqual(sourceSrcsets($, $img), ["/lp/images/hero.avif", "/lp/images/hero.webp"]);
+  assert.equal($('img[src="https://example.com/banner.jpg"]').length, 1);
+});
+
+test("processImages: 計測したファーストビューの画像は lazy loading にせず、LCP画像は優先して読み込む", async () => {
+  const imagePriority = {
+    aboveFold: new Set(["images/profile.png"]),
+    lcp: new Map([["mobile", "images/photo.jpg"]]),
+  };
+  const $ = await loadFixture("images.html");
+  $('img[alt="写真"]').attr("loading", "lazy");
+  processImages({ $, dimensions, imagePriority });
+
+  assert.equal($("img.hero").attr("loading"), "lazy");
+  assert.equal($("img.profile").attr("loading"), undefined);
+  assert.equal($('img[alt="写真"]').attr("loading"), undefined);
+  assert.equal($('img[alt="写真"]').attr("fetchpriority"), "high");
+});
+
+test("preloadLcpImage: LCP画像の AVIF を <meta charset> の直後に preload（ビューポートで違えば media 付き）", async () => {
+  const $ = await run();
+  preloadLcpImage({ $, imagePriority: { aboveFold: new Set(), lcp: new Map([["mobile", "images/hero.jpg"]]) } });
+  assert.equal(
+    $("head").children().eq(1).toString(),
+    '<link rel="preload" as="image" imagesrcset="images/hero.avif" type="image/avif" fetchpriority="high">',
+  );
+
+  const $both = await run();
+  const lcp = new Map([
+    ["mobile", "images/profile.png"],
+    ["desktop", "images/hero.jpg"],
+  ]);
+  preloadLcpImage({ $: $both, imagePriority: { aboveFold: new Set(), lcp }, config: { breakpoint: 1023 } });
+  assert.deepEqual(
+    $both('link[rel="preload"]')
+      .map((i, el) => `${$both(el).attr("imagesrcset")} ${$both(el).attr("media")}`)
+      .get(),
+    ["images/profile.avif (max-width: 1023px)", "images/hero.avif (min-width: 1024px)"],
+  );
+});
+
+test("processImages: lazy loading の画像にプレースホルダーを付け、記述済みの style は残す", async () => {
+  const $ = await loadFixture("images.html");
+  $("img.profile").attr("style", "border-radius:50%;");
+  const placeholders = new Map([["images/profile.png", { color: "#336699", blur: "data:image/svg+xml;base64,AAAA" }]]);
+  processImages({ $, dimensions, placeholders, env: { IMAGE_PLACEHOLDER: "color" } });
+  const $img = $("img.profile");
+
+  assert.equal($img.attr("style"), "border-radius:50%;background-color:#336699");
+  assert.equal($img.attr("data-placeholder"), "background-color");
+  assert.equal($("head script").length, 1);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractFaqItems, injectStructuredData } from "../../scripts/lib/transforms/structured-data.mjs";
+import { loadFixture } from "../helpers.mjs";
+
+test("extractFaqItems: <summary> を質問、最初の <p> を回答にする", async () => {
+  const $ = await loadFixture("faq.html");
+
+  assert.deepEqual(extractFaqItems($), [
+    { question: "相談は無料ですか？", answer: "初回のご相談は無料です。" },
+    { question: "オンラインで相談できますか？", answer: "Zoom で対応しています。" },
+  ]);
+});
+
+test("injectStructuredData: FAQPage を <head> に追加する（スクリプト内の </head> は無視）", async () => {
+  const $ = await loadFixture("faq.html");
+  injectStructuredData({ $, env: { STRUCTURED_DATA_TYPE: "FAQPage" } });
+
+  const $jsonLd = $('head script[type="application/ld+json"]');
+  assert.equal($jsonLd.length, 1);
+  const data = JSON.parse($jsonLd.text());
+  assert.equal(data["@type"], "FAQPage");
+  assert.deepEqual(
+    data.mainEntity.map((item) => item.name),
+    ["相談は無料ですか？", "オンラインで相談できますか？"],
+  );
+  assert.equal($("head script").first().text(), 'var closing = "</head>";');
+});
+
+test("injectStructuredData: FAQ が無ければ何も追加しない", async () => {
+  const $ = await loadFixture("images.html");
+  injectStructuredData({ $, env: { STRUCTURED_DATA_TYPE: "FAQPage" } });
+
+  assert.equal($('script[type="application/ld+json"]').length, 0);
+});